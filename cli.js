@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// 命令行工具：不启动服务即可同步、查看和维护仓库列表与缓存
+//
+// 退出码：0 成功，1 执行失败（同步失败、校验发现问题、配置有误等），2 用法错误
+
+const fs = require('fs');
+const storage = require('./lib/storage');
+const webhooks = require('./lib/webhooks');
+const { SCHEMA_VERSION, readCache, writeCache } = require('./lib/cache-file');
+const server = require('./mirror-server');
+const { exportSite } = require('./static-export');
+const { LOCALES } = require('./lib/i18n');
+
+const USAGE = `用法：node cli.js <命令> [参数]
+
+  sync [--force] [owner/repo ...]   同步全部或指定仓库后退出（指定仓库时忽略冷却期和停用状态）
+  list [--json]                     列出仓库、同步状态、版本和重试情况
+  add owner/repo [key=value ...]    添加仓库（不会立即同步）
+  remove owner/repo                 删除仓库及其缓存
+  verify [owner/repo ...]           核对缓存中的摘要，本地存储模式下重新计算已存储文件的摘要
+  export [文件]                     导出缓存（省略文件时输出到标准输出）
+  import [--merge] 文件             导入缓存（--merge 与现有缓存合并，否则整体替换）
+  build [--lang=en] [目录]          导出静态站点（默认导出到 site 目录，界面语言默认中文）
+  serve                             启动服务（同 node mirror-server.js）`;
+
+// 用法错误，退出码为 2
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// 拆分参数和开关（--name 或 --name=value，前者的值为 true），出现 allowed 以外的开关时抛出 UsageError
+function parseArgs(args, allowed = []) {
+    const flags = new Map();
+    const rest = [];
+    for (const arg of args) {
+        if (!arg.startsWith('--')) {
+            rest.push(arg);
+            continue;
+        }
+        const [name, ...value] = arg.split('=');
+        if (!allowed.includes(name)) {
+            throw new UsageError(`未知选项 ${name}`);
+        }
+        flags.set(name, value.length > 0 ? value.join('=') : true);
+    }
+    return { flags, rest };
+}
+
+// 检查仓库名都在仓库列表中
+function checkNames(names) {
+    const known = server.getRepositories().map(r => r.name);
+    const unknown = names.filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+        console.error(`仓库列表中没有：${unknown.join('、')}`);
+        return false;
+    }
+    return true;
+}
+
+// 终端显示宽度（中文字符占两列）
+function displayWidth(text) {
+    return Array.from(text).reduce((width, ch) => width + (ch.charCodeAt(0) > 0x2e80 ? 2 : 1), 0);
+}
+
+function pad(text, width) {
+    return text + ' '.repeat(Math.max(width - displayWidth(text), 0));
+}
+
+async function sync(args) {
+    const { flags, rest: names } = parseArgs(args, ['--force']);
+    if (!server.loadState() || !checkNames(names)) return 1;
+
+    const all = server.getSortedRepos();
+    const repos = names.length > 0 ? all.filter(r => names.includes(r.name)) : all;
+    const failed = await server.syncRepos(repos, flags.has('--force') || names.length > 0);
+    // 等待同步过程中产生的通知发送完毕
+    await webhooks.waitForDeliveries();
+
+    if (failed.length > 0) {
+        console.error(`${failed.length} 个仓库同步失败：${failed.join('、')}`);
+        return 1;
+    }
+    return 0;
+}
+
+function list(args) {
+    const { flags } = parseArgs(args, ['--json']);
+    if (!server.loadState()) return 1;
+
+    const cache = server.getCache();
+    const rows = server.getRepositories().map(({ name }) => {
+        const data = cache[name];
+        return {
+            name,
+            status: server.getSyncStatus(data),
+            version: data?.version || null,
+            updated_at: data?.updated_at || null,
+            retry_count: data?.retryCount || 0,
+            next_retry: data?.nextRetry ? new Date(data.nextRetry).toISOString() : null,
+            last_error: data?.last_error_message || null
+        };
+    });
+
+    if (flags.has('--json')) {
+        console.log(JSON.stringify(rows, null, 2));
+        return 0;
+    }
+
+    const table = [
+        ['仓库', '状态', '版本', '最后同步', '重试'],
+        ...rows.map(row => [
+            row.name,
+            row.status,
+            row.version || '-',
+            row.updated_at ? new Date(row.updated_at).toLocaleString() : '-',
+            `${row.retry_count}${row.next_retry && new Date(row.next_retry) > Date.now()
+                ? `（冷却至 ${new Date(row.next_retry).toLocaleString()}）`
+                : ''}`
+        ])
+    ];
+    const widths = table[0].map((_, i) => Math.max(...table.map(cells => displayWidth(cells[i]))));
+    table.forEach((cells, i) => {
+        console.log(cells.map((cell, j) => pad(cell, widths[j])).join('  ').trimEnd());
+        // 失败的仓库附带最近的错误
+        const row = rows[i - 1];
+        if (row?.last_error && row.status !== 'ok') {
+            console.log(`    ${row.last_error}`);
+        }
+    });
+    return 0;
+}
+
+function add(args) {
+    if (args.length === 0) throw new UsageError('缺少仓库名');
+
+    try {
+        const entry = server.addRepository(args.join(' '));
+        console.log(`已添加 ${entry.name}，运行 node cli.js sync ${entry.name} 立即同步`);
+        return 0;
+    } catch (err) {
+        console.error(`添加失败：${err.message}`);
+        return 1;
+    }
+}
+
+function remove(args) {
+    const { rest } = parseArgs(args);
+    if (rest.length !== 1) throw new UsageError('需要指定一个仓库');
+    // 先加载缓存，避免保存时覆盖其他仓库的缓存
+    if (!server.loadState() || !checkNames(rest)) return 1;
+
+    server.removeRepository(rest[0]);
+    console.log(`已删除 ${rest[0]}`);
+    return 0;
+}
+
+async function verify(args) {
+    const { rest: names } = parseArgs(args);
+    if (!server.loadState() || !checkNames(names)) return 1;
+
+    const cache = server.getCache();
+    const results = new Map(); // 同一文件可能被多个版本引用，只计算一次
+    let checked = 0;
+    let unverified = 0;
+    let problems = 0;
+
+    for (const name of names.length > 0 ? names : server.getRepositories().map(r => r.name)) {
+        for (const release of server.getReleases(cache[name])) {
+            for (const asset of release.assets) {
+                const label = `[${name}] ${release.version}/${asset.name}`;
+                if (asset.mismatch) {
+                    const what = asset.mismatch.source === 'local' ? '下载内容' : '校验文件';
+                    console.error(`${label} 校验不一致：上游 ${asset.sha256}，${what} ${asset.mismatch.actual}`);
+                    problems++;
+                    continue;
+                }
+                if (!asset.sha256) {
+                    unverified++;
+                    continue;
+                }
+                if (!storage.isLocalMode() || !storage.hasBlob(asset.sha256)) continue;
+
+                if (!results.has(asset.sha256)) {
+                    results.set(asset.sha256, await storage.verifyBlob(asset.sha256));
+                }
+                checked++;
+                if (!results.get(asset.sha256)) {
+                    console.error(`${label} 本地文件已损坏，删除 ${storage.blobPath(asset.sha256)} 后重新同步即可重新下载`);
+                    problems++;
+                }
+            }
+        }
+    }
+
+    console.log(`已核对 ${checked} 个本地文件，${unverified} 个文件没有摘要，发现 ${problems} 个问题`);
+    return problems > 0 ? 1 : 0;
+}
+
+function exportCache(args) {
+    const { rest: [file] } = parseArgs(args);
+    const repos = readCache(server.CACHE_FILE);
+    const content = `${JSON.stringify({ schema: SCHEMA_VERSION, repos }, null, 2)}\n`;
+
+    if (!file || file === '-') {
+        process.stdout.write(content);
+    } else {
+        fs.writeFileSync(file, content);
+        console.log(`已导出 ${Object.keys(repos).length} 个仓库的缓存到 ${file}`);
+    }
+    return 0;
+}
+
+function importCache(args) {
+    const { flags, rest: [file] } = parseArgs(args, ['--merge']);
+    if (!file) throw new UsageError('缺少要导入的文件');
+    if (!fs.existsSync(file)) {
+        console.error(`${file} 不存在`);
+        return 1;
+    }
+
+    // 导入的文件按缓存格式校验，旧版本格式会自动迁移
+    const repos = readCache(file);
+    const current = flags.has('--merge') ? readCache(server.CACHE_FILE) : {};
+    writeCache(server.CACHE_FILE, { ...current, ...repos });
+    console.log(`已导入 ${Object.keys(repos).length} 个仓库的缓存，原缓存已备份为 ${server.CACHE_FILE}.bak`);
+    return 0;
+}
+
+function build(args) {
+    const { flags, rest } = parseArgs(args, ['--lang']);
+    const locale = flags.get('--lang');
+    if (rest.length > 1) throw new UsageError('只能指定一个输出目录');
+    if (locale !== undefined && !LOCALES.includes(locale)) {
+        throw new UsageError(`不支持的语言 ${locale}，可选：${LOCALES.join('、')}`);
+    }
+    if (!server.loadState()) return 1;
+
+    const outDir = rest[0] || 'site';
+    const { pages, files, redirects, skipped } = exportSite(outDir, { locale });
+    console.log(`已导出到 ${outDir}：${pages} 个页面，${files} 个本地文件，${redirects} 个跳转页面${skipped ? `，跳过 ${skipped} 项` : ''}`);
+    return 0;
+}
+
+function serve() {
+    server.main();
+}
+
+const COMMANDS = {
+    sync,
+    list,
+    add,
+    remove,
+    verify,
+    export: exportCache,
+    import: importCache,
+    build,
+    serve
+};
+
+async function run([command, ...args]) {
+    if (['help', '--help', '-h'].includes(command)) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        console.error(command ? `未知命令 ${command}\n` : '缺少命令\n');
+        console.error(USAGE);
+        return 2;
+    }
+    return COMMANDS[command](args);
+}
+
+// 设置退出码后等待输出写完自然退出；serve 不返回退出码，服务保持运行
+run(process.argv.slice(2)).then(
+    code => {
+        if (code !== undefined) process.exitCode = code;
+    },
+    err => {
+        if (err instanceof UsageError) {
+            console.error(`${err.message}\n`);
+            console.error(USAGE);
+            process.exitCode = 2;
+            return;
+        }
+        console.error(err.message);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,116 @@
+const fs = require('fs');
+
+// 缓存文件格式版本
+//   1: 直接以仓库名为键的对象（最初的格式）
+//   2: { schema: 2, repos: { ... } }，每个仓库都带有 releases 列表
+const SCHEMA_VERSION = 2;
+
+// 缓存文件无法解析或版本不受支持
+class CacheFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CacheFileError';
+    }
+}
+
+// 各版本到下一版本的迁移函数
+const MIGRATIONS = {
+    1(repos) {
+        const migrated = {};
+        for (const [name, data] of Object.entries(repos)) {
+            migrated[name] = data.version && !data.releases
+                ? { ...data, releases: [{ version: data.version, assets: data.assets || [] }] }
+                : data;
+        }
+        return migrated;
+    }
+};
+
+function backupPath(file) {
+    return `${file}.bak`;
+}
+
+// 解析文件内容并迁移到当前版本，返回仓库缓存
+function parse(file) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new CacheFileError(`${file} 无法解析：${err.message}`);
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new CacheFileError(`${file} 格式错误：应为 JSON 对象`);
+    }
+
+    let schema = typeof content.schema === 'number' ? content.schema : 1;
+    let repos = schema === 1 ? content : content.repos;
+    if (schema > SCHEMA_VERSION) {
+        throw new CacheFileError(`${file} 的格式版本为 ${schema}，当前程序只支持到 ${SCHEMA_VERSION}，请升级程序`);
+    }
+    if (!repos || typeof repos !== 'object') {
+        throw new CacheFileError(`${file} 格式错误：缺少 repos`);
+    }
+
+    while (schema < SCHEMA_VERSION) {
+        repos = MIGRATIONS[schema](repos);
+        schema++;
+    }
+    return repos;
+}
+
+// 读取缓存：文件不存在时返回空对象；主文件损坏时尝试备份，备份也不可用时抛出 CacheFileError
+function readCache(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+
+    try {
+        return parse(file);
+    } catch (err) {
+        const backup = backupPath(file);
+        if (!fs.existsSync(backup)) {
+            throw err;
+        }
+
+        let repos;
+        try {
+            repos = parse(backup);
+        } catch (backupErr) {
+            throw new CacheFileError(`${err.message}；备份 ${backupErr.message}`);
+        }
+        console.warn(`${err.message}，已改用备份 ${backup}（损坏的文件将在下次保存时覆盖）`);
+        return repos;
+    }
+}
+
+// 写入缓存：先写临时文件并刷盘，再保留上一代为备份，最后原子替换
+function writeCache(file, repos) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const content = JSON.stringify({ schema: SCHEMA_VERSION, repos }, null, 2);
+
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // 只有能正常解析的旧文件才作为备份，避免用损坏的文件覆盖可用的备份
+    if (fs.existsSync(file)) {
+        try {
+            parse(file);
+            fs.copyFileSync(file, backupPath(file));
+        } catch (err) {
+            // 旧文件已损坏，保留现有备份
+        }
+    }
+    fs.renameSync(tmpFile, file);
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    CacheFileError,
+    readCache,
+    writeCache
+};
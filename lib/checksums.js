@@ -0,0 +1,79 @@
+const axios = require('axios');
+
+const MAX_CHECKSUM_FILE_SIZE = 1024 * 1024; // 校验文件最大 1MB
+const SUMS_FILE_PATTERN = /^(sha256sums?|checksums?|.*[._-]sha256sums?|.*[._-]checksums?)(\.txt)?$/i;
+const SINGLE_FILE_PATTERN = /\.sha256(sum)?$/i;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+const CHECKSUMS_FILE = 'SHA256SUMS'; // 生成的校验文件名（版本中有同名的上游文件时以上游文件为准）
+
+// 是否为校验文件（SHA256SUMS、checksums.txt 或 xxx.sha256）
+function isChecksumFile(name) {
+    return SUMS_FILE_PATTERN.test(name) || SINGLE_FILE_PATTERN.test(name);
+}
+
+// 解析校验文件内容，返回 Map<文件名, sha256>
+// 支持 GNU 格式 `<hash>  [*]<name>` 和 BSD 格式 `SHA256 (<name>) = <hash>`；
+// 单文件的 xxx.sha256 可能只有摘要，此时以 defaultName 作为文件名
+function parseChecksumFile(text, defaultName) {
+    const result = new Map();
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        let match = /^([a-f0-9]{64})(?:\s+\*?(.+))?$/i.exec(trimmed);
+        if (match) {
+            const name = match[2] ? match[2].trim().replace(/^\.\//, '') : defaultName;
+            if (name) result.set(name, match[1].toLowerCase());
+            continue;
+        }
+        match = /^SHA256 \((.+)\) = ([a-f0-9]{64})$/i.exec(trimmed);
+        if (match) {
+            result.set(match[1].replace(/^\.\//, ''), match[2].toLowerCase());
+        }
+    }
+    return result;
+}
+
+// 下载并解析发布版本中的校验文件，返回 Map<文件名, sha256>
+async function fetchPublishedChecksums(assets) {
+    const result = new Map();
+    for (const asset of assets.filter(a => isChecksumFile(a.name))) {
+        if (asset.size > MAX_CHECKSUM_FILE_SIZE) continue;
+
+        const { data } = await axios.get(asset.download_url, {
+            responseType: 'text',
+            timeout: 30 * 1000,
+            maxContentLength: MAX_CHECKSUM_FILE_SIZE,
+            headers: { 'User-Agent': 'Node.js Mirror Proxy' }
+        });
+        const defaultName = SINGLE_FILE_PATTERN.test(asset.name)
+            ? asset.name.replace(SINGLE_FILE_PATTERN, '')
+            : undefined;
+        for (const [name, sha256] of parseChecksumFile(String(data), defaultName)) {
+            result.set(name, sha256);
+        }
+    }
+    return result;
+}
+
+// 解析 GitHub 资源的 digest 字段（sha256:<hash>）
+function parseDigest(digest) {
+    if (typeof digest !== 'string' || !digest.startsWith('sha256:')) return undefined;
+    const hash = digest.slice('sha256:'.length).toLowerCase();
+    return SHA256_PATTERN.test(hash) ? hash : undefined;
+}
+
+// 生成 SHA256SUMS 格式的文本
+function formatChecksums(assets) {
+    return assets
+        .filter(a => a.sha256 && !a.mismatch)
+        .map(a => `${a.sha256}  ${a.name}\n`)
+        .join('');
+}
+
+module.exports = {
+    CHECKSUMS_FILE,
+    isChecksumFile,
+    parseChecksumFile,
+    fetchPublishedChecksums,
+    parseDigest,
+    formatChecksums
+};
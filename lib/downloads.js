@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+// 下载统计
+//
+// 按天记录每个文件的下载次数，不记录 IP 等访问者信息。文件格式：
+//   { schema: 1, days: { "2025-01-31": { "owner/repo": { "文件名": 次数 } } } }
+
+const SCHEMA_VERSION = 1;
+const FLUSH_INTERVAL = 60 * 1000; // 有新记录时每分钟写入一次
+
+let statsFile = null;
+let retentionDays = 365;
+let days = {};
+let dirty = false;
+
+// 本地时区的日期 YYYY-MM-DD
+function dateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 最近 n 天的日期（含今天，从早到晚）
+function recentDays(n) {
+    const result = [];
+    const date = new Date();
+    for (let i = 0; i < n; i++) {
+        result.unshift(dateKey(date));
+        date.setDate(date.getDate() - 1);
+    }
+    return result;
+}
+
+// 加载统计文件并开始定时写入；文件损坏时从空统计开始，不影响服务
+function loadDownloads(file, retention) {
+    statsFile = file;
+    retentionDays = retention || retentionDays;
+    days = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            if (content.schema !== SCHEMA_VERSION || !content.days) {
+                throw new Error(`不支持的格式版本 ${content.schema}`);
+            }
+            days = content.days;
+        } catch (err) {
+            console.error(`下载统计 ${file} 无法加载，将重新开始统计：${err.message}`);
+        }
+    }
+
+    setInterval(flushDownloads, FLUSH_INTERVAL).unref();
+}
+
+// 记录一次下载
+function recordDownload(repo, asset) {
+    const day = dateKey(new Date());
+    const repos = days[day] || (days[day] = {});
+    const assets = repos[repo] || (repos[repo] = {});
+    assets[asset] = (assets[asset] || 0) + 1;
+    dirty = true;
+}
+
+// 写入统计文件（先写临时文件再替换），同时清理超过保留天数的记录
+function flushDownloads() {
+    if (!dirty || !statsFile) return;
+
+    const keep = new Set(recentDays(retentionDays));
+    for (const day of Object.keys(days)) {
+        if (!keep.has(day)) delete days[day];
+    }
+
+    const tmpFile = `${statsFile}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tmpFile, JSON.stringify({ schema: SCHEMA_VERSION, days }));
+        fs.renameSync(tmpFile, statsFile);
+        dirty = false;
+    } catch (err) {
+        console.error(`下载统计保存失败：${err.message}`);
+    }
+}
+
+// 最近 n 天各仓库的下载总数 { repo: 次数 }
+function getRepoTotals(n) {
+    const totals = {};
+    for (const day of recentDays(n)) {
+        for (const [repo, assets] of Object.entries(days[day] || {})) {
+            totals[repo] = (totals[repo] || 0) + Object.values(assets).reduce((sum, count) => sum + count, 0);
+        }
+    }
+    return totals;
+}
+
+// 最近 n 天某仓库各文件的下载总数，按次数降序 [{ name, count }]
+function getAssetTotals(repo, n) {
+    const totals = {};
+    for (const day of recentDays(n)) {
+        for (const [name, count] of Object.entries(days[day]?.[repo] || {})) {
+            totals[name] = (totals[name] || 0) + count;
+        }
+    }
+    return Object.entries(totals)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// 最近 n 天每天的下载数 [{ date, count }]；指定 repo 时只统计该仓库
+function getDailyDownloads(n, repo) {
+    return recentDays(n).map(day => {
+        const repos = days[day] || {};
+        const entries = repo ? [repos[repo] || {}] : Object.values(repos);
+        const count = entries.reduce(
+            (sum, assets) => sum + Object.values(assets).reduce((s, c) => s + c, 0), 0
+        );
+        return { date: day, count };
+    });
+}
+
+module.exports = {
+    loadDownloads,
+    recordDownload,
+    flushDownloads,
+    getRepoTotals,
+    getAssetTotals,
+    getDailyDownloads
+};
@@ -0,0 +1,11 @@
+// 资源不存在（仓库不存在、没有发布版本或指定标签不存在），不属于临时故障
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
+module.exports = {
+    NotFoundError
+};
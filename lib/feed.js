@@ -0,0 +1,43 @@
+// Atom 订阅源生成
+
+function escapeXml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[c]);
+}
+
+// feed: { id, title, subtitle, link, selfLink, entries }
+// entry: { id, title, link, updated, summary, content }，content 为 HTML
+function renderAtomFeed(feed) {
+    const updated = feed.entries.reduce(
+        (latest, entry) => (entry.updated > latest ? entry.updated : latest),
+        feed.entries.length ? feed.entries[0].updated : new Date(0).toISOString()
+    );
+
+    const entries = feed.entries.map(entry => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>
+    <updated>${escapeXml(entry.updated)}</updated>
+    ${entry.summary ? `<summary>${escapeXml(entry.summary)}</summary>` : ''}
+    <content type="html">${escapeXml(entry.content)}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  ${feed.subtitle ? `<subtitle>${escapeXml(feed.subtitle)}</subtitle>` : ''}
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfLink)}"/>
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>TWOSI</name></author>
+  <generator>tw-mirror</generator>${entries}
+</feed>
+`;
+}
+
+module.exports = {
+    renderAtomFeed
+};
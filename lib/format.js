@@ -0,0 +1,23 @@
+// 页面和订阅源共用的显示格式
+
+// 统一版本号显示
+function formatVersion(version) {
+    return version.startsWith('v') ? version : `v${version}`;
+}
+
+// 格式化文件大小
+function formatSize(bytes) {
+    if (!bytes && bytes !== 0) return '';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return `${bytes.toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+module.exports = {
+    formatVersion,
+    formatSize
+};
@@ -0,0 +1,119 @@
+const axios = require('axios');
+const { NotFoundError } = require('./errors');
+
+const API_BASE = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, ''); // GitHub Enterprise 等可指定 API 地址
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
+const MAX_RATE_LIMIT_WAIT = 60 * 60 * 1000; // 单次最多等待 1 小时
+const REQUEST_TIMEOUT = 30 * 1000; // 与其他来源的请求超时一致，避免连接卡住时同步一直不结束
+
+// 最近一次响应中的限额信息
+const rateLimit = {
+    limit: null,
+    remaining: null,
+    reset: 0 // 毫秒时间戳
+};
+
+// 请求统计
+const stats = {
+    requests: 0,
+    notModified: 0,
+    rateLimited: 0
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 记录响应头中的限额信息
+function updateRateLimit(headers) {
+    if (headers['x-ratelimit-limit'] !== undefined) {
+        rateLimit.limit = parseInt(headers['x-ratelimit-limit'], 10);
+    }
+    if (headers['x-ratelimit-remaining'] !== undefined) {
+        rateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    }
+    if (headers['x-ratelimit-reset'] !== undefined) {
+        rateLimit.reset = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+    }
+}
+
+// 判断是否为限额错误，返回需要等待的毫秒数，不是则返回 0
+function rateLimitWait(response) {
+    if (!response || (response.status !== 403 && response.status !== 429)) return 0;
+
+    const retryAfter = parseInt(response.headers['retry-after'], 10);
+    if (retryAfter > 0) return retryAfter * 1000;
+    if (response.headers['x-ratelimit-remaining'] === '0') {
+        return Math.max(rateLimit.reset - Date.now(), 0) + 1000;
+    }
+    return 0;
+}
+
+// 限额用尽时暂停，直到重置（其他请求发出前也会等待，因此会暂停整轮同步）
+async function waitForRateLimit(ms) {
+    const wait = Math.min(ms, MAX_RATE_LIMIT_WAIT);
+    console.warn(`GitHub API 限额已用尽，暂停同步至 ${new Date(Date.now() + wait).toLocaleTimeString()}`);
+    await sleep(wait);
+}
+
+// 请求 GitHub API
+// 传入 etag 时发送 If-None-Match，未变化返回 { notModified: true }，否则返回 { data, etag }
+async function request(path, { params, etag } = {}) {
+    if (rateLimit.remaining === 0 && rateLimit.reset > Date.now()) {
+        await waitForRateLimit(rateLimit.reset - Date.now() + 1000);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        stats.requests++;
+        let response;
+        try {
+            response = await axios.get(`${API_BASE}${path}`, {
+                params,
+                timeout: REQUEST_TIMEOUT,
+                headers: {
+                    'User-Agent': 'Node.js Mirror Proxy',
+                    Accept: 'application/vnd.github+json',
+                    Authorization: GITHUB_TOKEN ? `token ${GITHUB_TOKEN}` : undefined,
+                    'If-None-Match': etag || undefined
+                },
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
+            });
+        } catch (err) {
+            if (err.response) {
+                updateRateLimit(err.response.headers);
+            }
+
+            const wait = rateLimitWait(err.response);
+            if (wait > 0 && attempt === 0) {
+                stats.rateLimited++;
+                await waitForRateLimit(wait);
+                continue;
+            }
+            if (err.response?.status === 404) {
+                throw new NotFoundError(`${path} 不存在`);
+            }
+            throw err;
+        }
+
+        updateRateLimit(response.headers);
+        if (response.status === 304) {
+            stats.notModified++;
+            return { notModified: true, etag };
+        }
+        return { data: response.data, etag: response.headers.etag };
+    }
+}
+
+// 当前限额信息
+function getRateLimit() {
+    return { ...rateLimit };
+}
+
+// 请求统计
+function getStats() {
+    return { ...stats };
+}
+
+module.exports = {
+    request,
+    getRateLimit,
+    getStats
+};
@@ -0,0 +1,68 @@
+// 将 glob 模式转换为正则表达式（支持 * 和 ?，不区分大小写）
+function globToRegExp(glob) {
+    const source = Array.from(glob)
+        .map(c => {
+            if (c === '*') return '.*';
+            if (c === '?') return '.';
+            return c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// 按 glob 模式匹配名称（不区分大小写）。不经过正则，耗时与名称和模式长度的乘积成正比，
+// 可用于请求中传入的模式
+function matchGlob(name, glob) {
+    const text = Array.from(name.toLowerCase());
+    const pattern = Array.from(glob.toLowerCase());
+    let t = 0;
+    let p = 0;
+    let star = -1; // 最近一个 * 在模式中的位置
+    let mark = 0;  // 该 * 当前匹配到的名称位置
+
+    while (t < text.length) {
+        if (p < pattern.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+            t++;
+            p++;
+        } else if (p < pattern.length && pattern[p] === '*') {
+            star = p++;
+            mark = t;
+        } else if (star !== -1) {
+            // 让最近的 * 多匹配一个字符后重试
+            p = star + 1;
+            t = ++mark;
+        } else {
+            return false;
+        }
+    }
+    while (p < pattern.length && pattern[p] === '*') p++;
+    return p === pattern.length;
+}
+
+// 是否为 re: 前缀的正则表达式模式（只允许出现在 repos.txt 中）
+function isRegExpPattern(pattern) {
+    return pattern.startsWith('re:');
+}
+
+// 编译匹配模式：re: 前缀按正则表达式处理（不区分大小写），其余按 glob 处理
+function compilePattern(pattern) {
+    if (isRegExpPattern(pattern)) {
+        return new RegExp(pattern.slice(3), 'i');
+    }
+    return globToRegExp(pattern);
+}
+
+// 判断名称是否匹配任意一个模式
+function matchesAny(name, patterns) {
+    return patterns.some(pattern => (isRegExpPattern(pattern)
+        ? compilePattern(pattern).test(name)
+        : matchGlob(name, pattern)));
+}
+
+module.exports = {
+    globToRegExp,
+    matchGlob,
+    isRegExpPattern,
+    compilePattern,
+    matchesAny
+};
@@ -0,0 +1,49 @@
+// HTML 模板
+//
+// html`...` 中的插值默认转义；嵌套的 html`...` 结果和 raw() 标记的内容原样输出，
+// 数组逐项处理后拼接，null、undefined 和 false 输出为空
+
+// 已确认安全、无需再转义的 HTML
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// 转义 HTML 特殊字符（引号也会转义，因此可以用于属性值）
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value instanceof SafeHtml) return value.value;
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let result = strings[0];
+    for (let i = 0; i < values.length; i++) {
+        result += renderValue(values[i]) + strings[i + 1];
+    }
+    return new SafeHtml(result);
+}
+
+// 原样输出（只用于本站生成或已转义的内容）
+function raw(value) {
+    return new SafeHtml(String(value));
+}
+
+module.exports = {
+    SafeHtml,
+    escapeHtml,
+    html,
+    raw
+};
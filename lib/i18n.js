@@ -0,0 +1,92 @@
+// 界面语言
+//
+// 语言按以下顺序确定：?lang= 参数（同时写入 cookie）、lang cookie、Accept-Language，默认 zh-CN。
+// 消息中的 {name} 由参数替换；英文缺少的消息回退到中文
+
+const CATALOGUES = {
+    'zh-CN': require('../locales/zh-CN'),
+    en: require('../locales/en')
+};
+const DEFAULT_LOCALE = 'zh-CN';
+const LOCALES = Object.keys(CATALOGUES);
+const LOCALE_NAMES = { 'zh-CN': '中文', en: 'English' };
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// 规范化语言标签（zh、zh-cn、zh-Hans 都视为 zh-CN，en-US 视为 en），不支持时返回 null
+function normalizeLocale(tag) {
+    const lower = String(tag || '').toLowerCase();
+    if (lower.startsWith('zh')) return 'zh-CN';
+    if (lower.startsWith('en')) return 'en';
+    return null;
+}
+
+// 读取 cookie，值无法解码时视为不存在
+function readCookie(req, name) {
+    const match = (req.get('Cookie') || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    if (!match) return undefined;
+    try {
+        return decodeURIComponent(match.slice(1).join('='));
+    } catch (err) {
+        return undefined;
+    }
+}
+
+// 根据请求确定语言
+function negotiateLocale(req) {
+    return normalizeLocale(req.query.lang)
+        || normalizeLocale(readCookie(req, 'lang'))
+        || normalizeLocale(req.acceptsLanguages('zh-CN', 'zh', 'en'))
+        || DEFAULT_LOCALE;
+}
+
+function format(message, params) {
+    return message.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? params[name] : m));
+}
+
+// 创建指定语言的翻译和格式化函数；path 为当前页面路径，用于生成切换语言的链接
+function createI18n(locale = DEFAULT_LOCALE, path = '/') {
+    const catalogue = CATALOGUES[locale] || CATALOGUES[DEFAULT_LOCALE];
+    const [pathname, search = ''] = path.split('?');
+
+    function t(key, params = {}) {
+        const message = catalogue[key] ?? CATALOGUES[DEFAULT_LOCALE][key] ?? key;
+        return format(message, params);
+    }
+
+    // 切换到其他语言的链接（保留其他查询参数）
+    function switchUrl(target) {
+        const query = new URLSearchParams(search);
+        query.set('lang', target);
+        return `${pathname}?${query}`;
+    }
+
+    return {
+        locale,
+        t,
+        formatDate: value => new Date(value).toLocaleDateString(locale),
+        formatDateTime: value => new Date(value).toLocaleString(locale),
+        formatNumber: value => Number(value).toLocaleString(locale),
+        languages: LOCALES.map(code => ({ code, name: LOCALE_NAMES[code], url: switchUrl(code), current: code === locale }))
+    };
+}
+
+// Express 中间件：确定语言并放入 res.locals.i18n
+function i18nMiddleware(req, res, next) {
+    const locale = negotiateLocale(req);
+    if (normalizeLocale(req.query.lang)) {
+        res.cookie('lang', locale, { maxAge: COOKIE_MAX_AGE, sameSite: 'lax' });
+    }
+    res.vary('Accept-Language');
+    res.vary('Cookie');
+    res.locals.i18n = createI18n(locale, req.originalUrl);
+    next();
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    createI18n,
+    i18nMiddleware
+};
@@ -0,0 +1,130 @@
+// 访问限制：按 IP 的请求频率、同时下载数，以及本地下载的总带宽
+//
+// 频率和带宽都用令牌桶实现；限制值为 0 时不限制
+
+const SWEEP_INTERVAL = 60 * 1000; // 清理空闲客户端记录的间隔
+
+// 解析带宽，支持 K/M/G 后缀（1024 进制），例如 20M 表示每秒 20 MB；无效或为 0 时返回 0（不限制）
+function parseBandwidth(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(value || '').trim());
+    if (!match) return 0;
+    const power = ['', 'k', 'm', 'g'].indexOf(match[2].toLowerCase());
+    return Math.floor(parseFloat(match[1]) * 1024 ** power);
+}
+
+// 按 IP 的请求频率限制：每分钟 perMinute 次，允许一分钟内的突发
+// take(ip) 允许时返回 0，否则返回需要等待的秒数
+function createRateLimiter(perMinute) {
+    const buckets = new Map(); // ip -> { tokens, updated }
+    const refillPerMs = perMinute / 60000;
+
+    function refill(bucket, now) {
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updated) * refillPerMs);
+        bucket.updated = now;
+    }
+
+    // 已回满的记录不再需要保留
+    if (perMinute > 0) {
+        setInterval(() => {
+            const now = Date.now();
+            for (const [ip, bucket] of buckets) {
+                refill(bucket, now);
+                if (bucket.tokens >= perMinute) buckets.delete(ip);
+            }
+        }, SWEEP_INTERVAL).unref();
+    }
+
+    return {
+        take(ip) {
+            if (perMinute <= 0) return 0;
+            const now = Date.now();
+            const bucket = buckets.get(ip) || { tokens: perMinute, updated: now };
+            refill(bucket, now);
+            buckets.set(ip, bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return 0;
+            }
+            return Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+        }
+    };
+}
+
+// 同时下载数限制：每个 IP 最多 perIp 个，全站最多 total 个
+// acquire(ip) 成功时返回释放函数（可重复调用），已满时返回 null
+function createDownloadSlots({ perIp, total }) {
+    const active = new Map(); // ip -> 进行中的下载数
+    let count = 0;
+
+    return {
+        acquire(ip) {
+            const current = active.get(ip) || 0;
+            if ((perIp > 0 && current >= perIp) || (total > 0 && count >= total)) {
+                return null;
+            }
+            active.set(ip, current + 1);
+            count++;
+
+            let released = false;
+            return () => {
+                if (released) return;
+                released = true;
+                count--;
+                const left = active.get(ip) - 1;
+                if (left > 0) active.set(ip, left);
+                else active.delete(ip);
+            };
+        },
+        get active() {
+            return count;
+        }
+    };
+}
+
+// 全站带宽限制：所有经过 throttle 的响应共享每秒 bytesPerSecond 字节
+function createBandwidthLimiter(bytesPerSecond) {
+    const bucket = { tokens: bytesPerSecond, updated: Date.now() };
+
+    // 扣除 bytes 字节，返回需要等待的毫秒数（允许透支，等待期间积攒的令牌用于偿还）
+    function consume(bytes) {
+        const now = Date.now();
+        bucket.tokens = Math.min(bytesPerSecond, bucket.tokens + (now - bucket.updated) * bytesPerSecond / 1000);
+        bucket.updated = now;
+        bucket.tokens -= bytes;
+        return bucket.tokens >= 0 ? 0 : Math.ceil(-bucket.tokens * 1000 / bytesPerSecond);
+    }
+
+    return {
+        // 限制响应的写入速度：超出带宽时让 write() 返回 false，等令牌够用后再触发 drain，
+        // 由 pipe 暂停和恢复读取。等待期间底层连接的 drain 会被推迟，否则 pipe 会提前恢复
+        throttle(res) {
+            if (bytesPerSecond <= 0) return;
+            const { write, emit } = res;
+            let resumeAt = 0;
+
+            res.emit = function (event, ...args) {
+                if (event === 'drain' && Date.now() < resumeAt) return false;
+                return emit.call(this, event, ...args);
+            };
+            res.write = function (chunk, ...args) {
+                const ok = write.call(this, chunk, ...args);
+                const wait = consume(typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length);
+                if (wait === 0) return ok;
+
+                resumeAt = Date.now() + wait;
+                setTimeout(() => {
+                    // 底层缓冲区仍满时，等它自己触发 drain
+                    if (!res.writableNeedDrain && !res.destroyed) emit.call(res, 'drain');
+                }, wait);
+                return false;
+            };
+        }
+    };
+}
+
+module.exports = {
+    parseBandwidth,
+    createRateLimiter,
+    createDownloadSlots,
+    createBandwidthLimiter
+};
@@ -0,0 +1,135 @@
+// 简单的 Markdown 渲染（用于发布说明）
+// 先转义全部 HTML 再处理语法，因此原文中的 HTML 标签只会按文本显示；链接只允许 http(s)
+
+const { escapeHtml } = require('./html');
+
+// 链接（含图片，按链接显示）和自动链接，在转义后的文本上一次匹配
+// 生成的标签不再参与其他替换，避免地址被再次处理而提前闭合属性
+const LINK_PATTERN = /!?\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)|(?<=^|[\s(])https?:\/\/[^\s<)]+/g;
+
+// 粗体、斜体、删除线（text 已转义，且不含链接）
+function renderEmphasis(text) {
+    return text
+        .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+}
+
+// 处理链接，链接以外的部分和链接文字处理粗体等
+function renderLinks(text) {
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(LINK_PATTERN)) {
+        const [whole, label, href] = match;
+        result += renderEmphasis(text.slice(last, match.index));
+        result += href
+            ? `<a href="${href}" rel="nofollow noopener">${renderEmphasis(label)}</a>`
+            : `<a href="${whole}" rel="nofollow noopener">${whole}</a>`;
+        last = match.index + whole.length;
+    }
+    return result + renderEmphasis(text.slice(last));
+}
+
+// 行内语法：代码、链接、图片（按链接显示）、粗体、斜体、删除线、自动链接
+function renderInline(text) {
+    return text
+        .split(/(`[^`]+`)/)
+        .map((part, i) => {
+            if (i % 2 === 1) {
+                return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+            }
+            return renderLinks(escapeHtml(part));
+        })
+        .join('');
+}
+
+// 渲染为 HTML
+function renderMarkdown(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null; // 'ul' 或 'ol'
+
+    function flushParagraph() {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    }
+
+    function closeList() {
+        if (list) {
+            html.push(`</${list}>`);
+            list = null;
+        }
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let match;
+
+        // 代码块
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            closeList();
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+            }
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            closeList();
+            continue;
+        }
+
+        if ((match = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line))) {
+            flushParagraph();
+            closeList();
+            // 页面已有 h1/h2，标题整体降两级
+            const level = Math.min(match[1].length + 2, 6);
+            html.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            closeList();
+            html.push('<hr>');
+            continue;
+        }
+
+        if ((match = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(line))) {
+            flushParagraph();
+            const type = /\d/.test(match[1]) ? 'ol' : 'ul';
+            if (list !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                list = type;
+            }
+            html.push(`<li>${renderInline(match[2])}</li>`);
+            continue;
+        }
+
+        if ((match = /^\s*>\s?(.*)$/.exec(line))) {
+            flushParagraph();
+            closeList();
+            html.push(`<blockquote>${renderInline(match[1])}</blockquote>`);
+            continue;
+        }
+
+        closeList();
+        paragraph.push(line.trim());
+    }
+
+    flushParagraph();
+    closeList();
+    return html.join('\n');
+}
+
+module.exports = {
+    renderMarkdown
+};
@@ -0,0 +1,97 @@
+// Prometheus 文本格式指标
+//
+// 计数器和直方图在运行时累加；仪表盘（gauge）在抓取时通过 collect 回调读取当前值
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// 以标签组合为键保存的值
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// 由本模块累加的计数器；传入 collect 时改为在抓取时读取外部维护的计数
+function createCounter(name, help, collect) {
+    const values = new Map();
+    registry.push({
+        name, help, type: 'counter',
+        samples: () => (collect ? collect() : [...values.values()])
+            .map(({ labels = {}, value }) => ({ name, labels, value }))
+    });
+    return {
+        inc(labels = {}, value = 1) {
+            const key = labelKey(labels);
+            const entry = values.get(key) || { labels, value: 0 };
+            entry.value += value;
+            values.set(key, entry);
+        }
+    };
+}
+
+// collect() 返回 [{ labels, value }]
+function createGauge(name, help, collect) {
+    registry.push({
+        name, help, type: 'gauge',
+        samples: () => collect().map(({ labels = {}, value }) => ({ name, labels, value }))
+    });
+}
+
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const values = new Map();
+    registry.push({
+        name, help, type: 'histogram',
+        samples: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((le, i) => ({ name: `${name}_bucket`, labels: { ...labels, le }, value: counts[i] })),
+            { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+            { name: `${name}_sum`, labels, value: sum },
+            { name: `${name}_count`, labels, value: count }
+        ])
+    });
+    return {
+        observe(labels, value) {
+            const key = labelKey(labels);
+            let entry = values.get(key);
+            if (!entry) {
+                entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                values.set(key, entry);
+            }
+            buckets.forEach((le, i) => {
+                if (value <= le) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+    };
+}
+
+// 生成全部指标的文本
+function renderMetrics() {
+    return registry.map(metric => {
+        const lines = [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`
+        ];
+        for (const sample of metric.samples()) {
+            if (sample.value === null || sample.value === undefined || Number.isNaN(sample.value)) continue;
+            lines.push(`${sample.name}${formatLabels(sample.labels)} ${sample.value}`);
+        }
+        return lines.join('\n');
+    }).join('\n') + '\n';
+}
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics
+};
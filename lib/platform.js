@@ -0,0 +1,198 @@
+// 根据资源文件名粗略判断适用平台和架构，并据此为访问者推荐下载文件
+const { matchesAny } = require('./glob');
+
+const PLATFORM_PATTERNS = {
+    windows: /(^|[^a-z])win(dows|32|64)?([^a-z]|$)|\.(exe|msi|msix|appx)$/i,
+    macos: /mac|darwin|osx|\.dmg$|\.pkg$/i,
+    linux: /linux|\.(deb|rpm|appimage|flatpak|snap)$/i,
+    android: /android|\.apk$|\.aab$/i,
+    ios: /(^|[^a-z])ios([^a-z]|$)|\.ipa$/i
+};
+
+const ARCH_PATTERNS = {
+    x64: /x64|x86[_-]64|amd64|win64/i,
+    x86: /x86(?![_-]64)|i[3-6]86|win32|ia32/i,
+    arm64: /arm64|aarch64|arm64-v8a/i,
+    arm: /armv?7|armeabi|(^|[^a-z])arm(hf|el)?([^a-z0-9]|$)/i,
+    universal: /universal/i
+};
+
+// 扩展名直接决定平台的安装包
+const FORMAT_PLATFORMS = {
+    exe: 'windows', msi: 'windows', msix: 'windows', appx: 'windows',
+    dmg: 'macos', pkg: 'macos',
+    deb: 'linux', rpm: 'linux', appimage: 'linux', flatpak: 'linux', snap: 'linux',
+    apk: 'android', aab: 'android',
+    ipa: 'ios'
+};
+
+// 识别的文件格式，按推荐的优先顺序排列
+const FORMATS = [
+    'exe', 'msi', 'msix', 'appx', 'dmg', 'pkg', 'apk', 'ipa',
+    'appimage', 'deb', 'rpm', 'flatpak', 'snap',
+    'zip', '7z', 'tar.gz', 'tgz', 'tar.xz', 'tar.bz2', 'jar', 'aab'
+];
+
+// 直接安装的格式（exe 需要文件名中带 setup/install 才视为安装程序）
+const INSTALLER_FORMATS = ['msi', 'msix', 'appx', 'dmg', 'pkg', 'deb', 'rpm', 'flatpak', 'snap', 'apk', 'ipa'];
+const ARCHIVE_FORMATS = ['zip', '7z', 'tar.gz', 'tgz', 'tar.xz', 'tar.bz2'];
+
+const CHECKSUM_PATTERN = /(^|[^a-z])(sha(1|256|512)?sums?|checksums?|md5sums?)([^a-z]|$)|\.(sha(1|256|512)|md5)(sum)?$/i;
+const SIGNATURE_PATTERN = /\.(sig|asc|minisig|sigstore|p7s)$/i;
+
+// 资源类型：安装程序、便携版、校验文件、签名文件、其他
+const KINDS = ['installer', 'portable', 'checksum', 'signature', 'other'];
+
+// 设备可以运行的其他架构（按优先顺序），例如 Windows on ARM 和 Apple Silicon 的转译
+const COMPATIBLE_ARCHES = {
+    windows: { x64: ['x86'], arm64: ['x64', 'x86'] },
+    macos: { arm64: ['x64'] }
+};
+
+function detectFormat(name) {
+    const lower = name.toLowerCase();
+    return FORMATS.find(format => lower.endsWith(`.${format}`)) || null;
+}
+
+function detectPlatform(name, format) {
+    if (FORMAT_PLATFORMS[format]) return FORMAT_PLATFORMS[format];
+    return ['android', 'ios', 'macos', 'windows', 'linux'].find(platform => PLATFORM_PATTERNS[platform].test(name)) || null;
+}
+
+// 按此顺序检测架构，避免 win32-arm64 被识别为 x86
+const ARCH_ORDER = ['universal', 'arm64', 'x64', 'arm', 'x86'];
+
+function detectArch(name) {
+    return ARCH_ORDER.find(arch => ARCH_PATTERNS[arch].test(name)) || null;
+}
+
+function detectKind(name, format, platform) {
+    if (CHECKSUM_PATTERN.test(name)) return 'checksum';
+    if (SIGNATURE_PATTERN.test(name)) return 'signature';
+    if (format === 'exe') return /setup|install/i.test(name) ? 'installer' : 'portable';
+    if (INSTALLER_FORMATS.includes(format)) return 'installer';
+    if (format === 'appimage' || format === 'jar') return 'portable';
+    // 压缩包只有能看出平台时才视为便携版，否则多半是源码
+    if (ARCHIVE_FORMATS.includes(format) && platform) return 'portable';
+    return 'other';
+}
+
+// 对资源分类，返回 { platform, arch, format, kind }，无法判断的字段为 null
+// rules 为仓库选项中的 { platforms: { 'windows-x64': [模式] }, kinds: { portable: [模式] } }，优先于按文件名推断
+function classifyAsset(name, rules = {}) {
+    const format = detectFormat(name);
+    let platform = detectPlatform(name, format);
+    let arch = detectArch(name);
+
+    const platformRule = Object.keys(rules.platforms || {}).find(alias => matchesAny(name, rules.platforms[alias]));
+    if (platformRule) {
+        const parsed = parsePlatformAlias(platformRule);
+        platform = parsed.platform;
+        arch = parsed.arch || arch;
+    }
+
+    const kindRule = Object.keys(rules.kinds || {}).find(kind => matchesAny(name, rules.kinds[kind]));
+    const kind = kindRule || detectKind(name, format, platform);
+    // 校验和签名文件不属于任何平台
+    if (kind === 'checksum' || kind === 'signature') {
+        return { platform: null, arch: null, format, kind };
+    }
+    return { platform, arch, format, kind };
+}
+
+// 根据请求头判断访问者的设备，返回 { platform, arch }，无法判断的字段为 null
+// 优先使用 Client Hints（Sec-CH-UA-Platform / Arch / Bitness），否则解析 User-Agent
+function detectDevice(headers) {
+    const hint = name => (headers[name] || '').replace(/"/g, '').toLowerCase();
+    const ua = headers['user-agent'] || '';
+
+    let platform = {
+        windows: 'windows', macos: 'macos', linux: 'linux', android: 'android', ios: 'ios'
+    }[hint('sec-ch-ua-platform')] || null;
+    if (!platform) {
+        if (/Android/.test(ua)) platform = 'android';
+        else if (/iPhone|iPad|iPod/.test(ua)) platform = 'ios';
+        else if (/Windows/.test(ua)) platform = 'windows';
+        else if (/Macintosh|Mac OS X/.test(ua)) platform = 'macos';
+        else if (/Linux|X11/.test(ua) && !/CrOS/.test(ua)) platform = 'linux';
+    }
+
+    let arch = null;
+    const hintArch = hint('sec-ch-ua-arch');
+    const bitness = hint('sec-ch-ua-bitness');
+    if (hintArch === 'arm') {
+        arch = bitness === '32' ? 'arm' : 'arm64';
+    } else if (hintArch === 'x86') {
+        arch = bitness === '32' ? 'x86' : 'x64';
+    } else if (/aarch64|arm64|armv8/i.test(ua)) {
+        arch = 'arm64';
+    } else if (/armv7|armv6/i.test(ua)) {
+        arch = 'arm';
+    } else if (/Win64|WOW64|x86_64|x64|amd64/i.test(ua) && platform !== 'macos') {
+        // macOS 的 User-Agent 固定写 Intel，不能据此判断
+        arch = 'x64';
+    }
+
+    return { platform, arch };
+}
+
+// 架构的匹配程度，数字越小越合适，不能运行时返回 -1
+function archRank(assetArch, device) {
+    if (!device.arch) {
+        // 架构未知时优先通用版本，其次是该平台最常见的架构
+        const common = device.platform === 'android' || device.platform === 'ios' ? 'arm64' : 'x64';
+        return ['universal', null, common].indexOf(assetArch) + 1 || 4;
+    }
+    if (assetArch === device.arch) return 0;
+    if (assetArch === 'universal') return 1;
+    if (assetArch === null) return 2;
+    const compatible = COMPATIBLE_ARCHES[device.platform]?.[device.arch] || [];
+    return compatible.includes(assetArch) ? 3 + compatible.indexOf(assetArch) : -1;
+}
+
+// 从已分类的资源中挑选最适合设备的一个，items 为 [{ asset, classification }]，没有合适的返回 null
+// 依次比较架构匹配程度、安装程序优先于便携版、文件格式的优先顺序
+function recommendAsset(items, device) {
+    if (!device.platform) return null;
+    const ranked = items
+        .filter(({ classification: c }) => c.platform === device.platform && (c.kind === 'installer' || c.kind === 'portable'))
+        .map(item => ({
+            item,
+            rank: [
+                archRank(item.classification.arch, device),
+                item.classification.kind === 'installer' ? 0 : 1,
+                FORMATS.indexOf(item.classification.format) === -1 ? FORMATS.length : FORMATS.indexOf(item.classification.format)
+            ]
+        }))
+        .filter(({ rank }) => rank[0] !== -1)
+        .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2]);
+    return ranked.length ? ranked[0].item : null;
+}
+
+// 判断资源分类（classifyAsset 的结果）是否符合指定平台/架构（未指定的条件视为满足）
+// 校验和签名文件不属于任何平台，指定了平台或架构时不会匹配
+function matchesPlatform(classification, platform, arch) {
+    if ((platform || arch) && ['checksum', 'signature'].includes(classification.kind)) return false;
+    if (platform && classification.platform !== platform) return false;
+    if (arch && classification.arch !== arch) return false;
+    return true;
+}
+
+// 解析平台别名，例如 windows、android-arm64，无法识别时返回 null
+function parsePlatformAlias(alias) {
+    const [platform, arch, ...rest] = alias.toLowerCase().split('-');
+    if (rest.length > 0 || !PLATFORM_PATTERNS[platform]) return null;
+    if (arch && !ARCH_PATTERNS[arch]) return null;
+    return { platform, arch };
+}
+
+module.exports = {
+    PLATFORMS: Object.keys(PLATFORM_PATTERNS),
+    ARCHES: Object.keys(ARCH_PATTERNS),
+    KINDS,
+    matchesPlatform,
+    parsePlatformAlias,
+    classifyAsset,
+    detectDevice,
+    recommendAsset
+};
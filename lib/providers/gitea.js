@@ -0,0 +1,47 @@
+const { request } = require('./http');
+
+const GITEA_TOKEN = process.env.GITEA_TOKEN || '';
+
+function baseUrl(options) {
+    return options.host.replace(/\/+$/, '');
+}
+
+// Gitea / Forgejo Releases（需要通过 host 指定实例地址）
+module.exports = {
+    webUrl(path, options) {
+        return `${baseUrl(options)}/${path}`;
+    },
+
+    async fetchRepo(path, options, { etags, limit }) {
+        const api = `${baseUrl(options)}/api/v1/repos/${path}`;
+        const headers = GITEA_TOKEN ? { Authorization: `token ${GITEA_TOKEN}` } : {};
+
+        const repoResult = await request(api, { headers, etag: etags.repo });
+        const releasesResult = options.tag
+            ? await request(`${api}/releases/tags/${encodeURIComponent(options.tag)}`, { headers, etag: etags.releases })
+            : await request(`${api}/releases`, { headers, etag: etags.releases, params: { limit } });
+
+        return {
+            meta: repoResult.notModified ? null : {
+                stars: repoResult.data.stars_count,
+                description: repoResult.data.description,
+                language: repoResult.data.language || null,
+                last_commit: repoResult.data.updated_at
+            },
+            releases: releasesResult.notModified ? null : (options.tag ? [releasesResult.data] : releasesResult.data)
+                .map(r => ({
+                    version: r.tag_name,
+                    published_at: r.published_at,
+                    draft: r.draft,
+                    prerelease: r.prerelease,
+                    notes: r.body || '',
+                    assets: (r.assets || []).map(a => ({
+                        name: a.name,
+                        download_url: a.browser_download_url,
+                        size: a.size
+                    }))
+                })),
+            etags: { repo: repoResult.etag, releases: releasesResult.etag }
+        };
+    }
+};
@@ -0,0 +1,42 @@
+const github = require('../github');
+const { parseDigest } = require('../checksums');
+
+// GitHub Releases
+module.exports = {
+    // 上游网页地址
+    webUrl(path) {
+        return `https://github.com/${path}`;
+    },
+
+    async fetchRepo(path, options, { etags, limit }) {
+        const repoResult = await github.request(`/repos/${path}`, { etag: etags.repo });
+        const releasesResult = options.tag
+            ? await github.request(`/repos/${path}/releases/tags/${encodeURIComponent(options.tag)}`, { etag: etags.releases })
+            : await github.request(`/repos/${path}/releases`, { etag: etags.releases, params: { per_page: limit } });
+
+        return {
+            meta: repoResult.notModified ? null : {
+                stars: repoResult.data.stargazers_count,
+                description: repoResult.data.description,
+                language: repoResult.data.language,
+                last_commit: repoResult.data.pushed_at
+            },
+            releases: releasesResult.notModified ? null : (options.tag ? [releasesResult.data] : releasesResult.data)
+                .map(r => ({
+                    version: r.tag_name,
+                    published_at: r.published_at,
+                    draft: r.draft,
+                    prerelease: r.prerelease,
+                    notes: r.body || '',
+                    assets: r.assets.map(a => ({
+                        name: a.name,
+                        download_url: a.browser_download_url,
+                        size: a.size,
+                        sha256: parseDigest(a.digest),
+                        checksum_source: parseDigest(a.digest) ? 'upstream' : undefined
+                    }))
+                })),
+            etags: { repo: repoResult.etag, releases: releasesResult.etag }
+        };
+    }
+};
@@ -0,0 +1,47 @@
+const { request } = require('./http');
+
+const DEFAULT_HOST = 'https://gitlab.com';
+const GITLAB_TOKEN = process.env.GITLAB_TOKEN || '';
+
+function baseUrl(options) {
+    return (options.host || DEFAULT_HOST).replace(/\/+$/, '');
+}
+
+// GitLab Releases（资源取发布中的链接，源码压缩包不计入）
+module.exports = {
+    webUrl(path, options) {
+        return `${baseUrl(options)}/${path}`;
+    },
+
+    async fetchRepo(path, options, { etags, limit }) {
+        const api = `${baseUrl(options)}/api/v4/projects/${encodeURIComponent(path)}`;
+        const headers = GITLAB_TOKEN ? { 'PRIVATE-TOKEN': GITLAB_TOKEN } : {};
+
+        const repoResult = await request(api, { headers, etag: etags.repo });
+        const releasesResult = options.tag
+            ? await request(`${api}/releases/${encodeURIComponent(options.tag)}`, { headers, etag: etags.releases })
+            : await request(`${api}/releases`, { headers, etag: etags.releases, params: { per_page: limit } });
+
+        return {
+            meta: repoResult.notModified ? null : {
+                stars: repoResult.data.star_count,
+                description: repoResult.data.description,
+                language: null,
+                last_commit: repoResult.data.last_activity_at
+            },
+            releases: releasesResult.notModified ? null : (options.tag ? [releasesResult.data] : releasesResult.data)
+                .map(r => ({
+                    version: r.tag_name,
+                    published_at: r.released_at,
+                    draft: false,
+                    prerelease: !!r.upcoming_release,
+                    notes: r.description || '',
+                    assets: (r.assets?.links || []).map(link => ({
+                        name: link.name,
+                        download_url: link.direct_asset_url || link.url
+                    }))
+                })),
+            etags: { repo: repoResult.etag, releases: releasesResult.etag }
+        };
+    }
+};
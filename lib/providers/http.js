@@ -0,0 +1,36 @@
+const axios = require('axios');
+const { NotFoundError } = require('../errors');
+
+const REQUEST_TIMEOUT = 30 * 1000;
+
+// 通用的 JSON GET 请求（用于 GitHub 以外的来源）
+// 传入 etag 时发送 If-None-Match，未变化返回 { notModified: true }，否则返回 { data, etag }
+async function request(url, { params, headers = {}, etag } = {}) {
+    try {
+        const response = await axios.get(url, {
+            params,
+            timeout: REQUEST_TIMEOUT,
+            headers: {
+                'User-Agent': 'Node.js Mirror Proxy',
+                Accept: 'application/json',
+                'If-None-Match': etag || undefined,
+                ...headers
+            },
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        if (response.status === 304) {
+            return { notModified: true, etag };
+        }
+        return { data: response.data, etag: response.headers.etag };
+    } catch (err) {
+        if (err.response?.status === 404) {
+            throw new NotFoundError(`${url} 不存在`);
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    request
+};
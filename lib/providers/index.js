@@ -0,0 +1,19 @@
+// 发布来源：每个来源实现 webUrl(path, options) 和 fetchRepo(path, options, { etags, limit })
+// fetchRepo 返回 { meta, releases, etags }，meta/releases 为 null 表示与上次相比未变化
+const providers = {
+    github: require('./github'),
+    gitlab: require('./gitlab'),
+    gitea: require('./gitea'),
+    forgejo: require('./gitea'),
+    manifest: require('./manifest')
+};
+
+// 获取来源，默认为 GitHub
+function getProvider(source = 'github') {
+    return providers[source];
+}
+
+module.exports = {
+    SOURCES: Object.keys(providers),
+    getProvider
+};
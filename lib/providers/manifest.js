@@ -0,0 +1,54 @@
+const { request } = require('./http');
+const { NotFoundError } = require('../errors');
+
+// 静态清单：url 指向一个 JSON 文件，格式为
+//   { "description": "...", "releases": [
+//       { "version": "1.0", "published_at": "...", "prerelease": false,
+//         "notes": "发布说明（Markdown）",
+//         "assets": [{ "name": "app.apk", "url": "https://...", "size": 123 }] } ] }
+// 只有一个版本时也可以直接写成 { "version": "1.0", "assets": [...] }
+module.exports = {
+    webUrl(path, options) {
+        return options.url;
+    },
+
+    async fetchRepo(path, options, { etags }) {
+        const result = await request(options.url, { etag: etags.releases });
+        if (result.notModified) {
+            return { meta: null, releases: null, etags: { releases: result.etag } };
+        }
+
+        const manifest = result.data;
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('清单格式错误：应为 JSON 对象');
+        }
+        const releases = manifest.releases || (manifest.version ? [manifest] : []);
+        if (releases.length === 0) {
+            throw new NotFoundError('清单中没有发布版本');
+        }
+
+        return {
+            meta: {
+                stars: null,
+                description: manifest.description || null,
+                language: manifest.language || null,
+                last_commit: null
+            },
+            releases: releases
+                .filter(r => !options.tag || r.version === options.tag)
+                .map(r => ({
+                    version: String(r.version),
+                    published_at: r.published_at || null,
+                    draft: false,
+                    prerelease: !!r.prerelease,
+                    notes: r.notes || '',
+                    assets: (r.assets || []).map(a => ({
+                        name: a.name || decodeURIComponent(new URL(a.url).pathname.split('/').pop()),
+                        download_url: a.url,
+                        size: a.size
+                    }))
+                })),
+            etags: { releases: result.etag }
+        };
+    }
+};
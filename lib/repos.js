@@ -0,0 +1,221 @@
+// 仓库列表解析
+//
+// 每行一个仓库，仓库名后可追加若干 key=value 选项，例如：
+//   HMCL-dev/HMCL
+//   topjohnwu/Magisk prerelease=true assets=*.apk keep=5
+//   juanfont/headscale tag=v0.23.0
+//   ollama/ollama interval=6h   # 每 6 小时同步一次
+//   VSCodium/vscodium alias.windows-x64=VSCodiumUserSetup-x64-*.exe
+//   example/tool platform.windows-x64=*-win.zip kind.portable=*-win.zip
+//   fdroid/fdroidclient source=gitlab path=fdroid/fdroidclient
+//   forgejo/forgejo source=gitea host=https://codeberg.org
+//   school/tools source=manifest url=https://example.com/tools.json
+
+const { compilePattern } = require('./glob');
+const { SOURCES } = require('./providers');
+const { KINDS, parsePlatformAlias } = require('./platform');
+
+const REPO_NAME_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MIN_INTERVAL = 5 * 60 * 1000; // 定时检查的粒度为 5 分钟
+const ALIAS_NAME_PATTERN = /^[\w-]+$/;
+
+// 解析逗号分隔的匹配模式列表（glob 或 re: 正则）
+function parsePatterns(key, value) {
+    const patterns = value.split(',').map(p => p.trim()).filter(Boolean);
+    if (patterns.length === 0) {
+        throw new Error(`${key} 不能为空`);
+    }
+    for (const pattern of patterns) {
+        try {
+            compilePattern(pattern);
+        } catch (err) {
+            throw new Error(`${key} 中的正则表达式 "${pattern}" 无效`);
+        }
+    }
+    return patterns;
+}
+
+// 校验 http(s) 地址
+function parseUrl(key, value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        throw new Error(`${key} 不是有效的地址："${value}"`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`${key} 只支持 http 或 https 地址`);
+    }
+    return value;
+}
+
+// 各选项的解析函数，返回规范化后的值，非法时抛出错误
+const OPTION_PARSERS = {
+    // 保留的发布版本数
+    keep(value) {
+        if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+            throw new Error(`keep 必须是正整数，实际为 "${value}"`);
+        }
+        return parseInt(value, 10);
+    },
+    // 是否包含预发布版本
+    prerelease(value) {
+        if (value !== 'true' && value !== 'false') {
+            throw new Error(`prerelease 只能是 true 或 false，实际为 "${value}"`);
+        }
+        return value === 'true';
+    },
+    // 只镜像匹配的资源（逗号分隔的 glob 或 re: 正则）
+    assets(value) {
+        return parsePatterns('assets', value);
+    },
+    // 固定到指定标签
+    tag(value) {
+        if (!value) {
+            throw new Error('tag 不能为空');
+        }
+        return value;
+    },
+    // 发布来源
+    source(value) {
+        if (!SOURCES.includes(value)) {
+            throw new Error(`source 只能是 ${SOURCES.join('、')} 之一，实际为 "${value}"`);
+        }
+        return value;
+    },
+    // GitLab / Gitea 实例地址
+    host(value) {
+        return parseUrl('host', value);
+    },
+    // 上游项目路径（默认与仓库名相同，GitLab 子组可写为 group/sub/project）
+    path(value) {
+        if (!/^[\w.-]+(\/[\w.-]+)+$/.test(value)) {
+            throw new Error(`path 格式应为 owner/repo，实际为 "${value}"`);
+        }
+        return value;
+    },
+    // 静态清单地址
+    url(value) {
+        return parseUrl('url', value);
+    },
+    // 同步间隔，例如 30m、1h、7d
+    interval(value) {
+        const match = /^(\d+)([mhd])$/.exec(value);
+        if (!match) {
+            throw new Error(`interval 格式应为数字加 m/h/d，实际为 "${value}"`);
+        }
+        const ms = parseInt(match[1], 10) * INTERVAL_UNITS[match[2]];
+        if (ms < MIN_INTERVAL) {
+            throw new Error('interval 不能小于 5m');
+        }
+        return ms;
+    }
+};
+
+// 解析单行，返回 { name, options }，非法时抛出错误
+function parseRepoLine(line) {
+    const [name, ...pairs] = line.split(/\s+/);
+    if (!REPO_NAME_PATTERN.test(name)) {
+        throw new Error(`仓库名 "${name}" 格式应为 owner/repo`);
+    }
+
+    const options = {};
+    for (const pair of pairs) {
+        const index = pair.indexOf('=');
+        if (index === -1) {
+            throw new Error(`选项 "${pair}" 格式应为 key=value`);
+        }
+        const key = pair.slice(0, index);
+        const value = pair.slice(index + 1);
+
+        // 下载别名：alias.<名称>=<匹配模式>
+        if (key.startsWith('alias.')) {
+            const alias = key.slice('alias.'.length);
+            if (!ALIAS_NAME_PATTERN.test(alias)) {
+                throw new Error(`别名 "${alias}" 只能包含字母、数字、下划线和连字符`);
+            }
+            options.aliases = { ...options.aliases, [alias]: parsePatterns(key, value) };
+            continue;
+        }
+
+        // 分类规则：platform.<平台>[-<架构>]=<匹配模式>、kind.<类型>=<匹配模式>
+        if (key.startsWith('platform.')) {
+            const platform = key.slice('platform.'.length);
+            if (!parsePlatformAlias(platform)) {
+                throw new Error(`"${platform}" 不是有效的平台，例如 windows、android-arm64`);
+            }
+            options.platforms = { ...options.platforms, [platform]: parsePatterns(key, value) };
+            continue;
+        }
+        if (key.startsWith('kind.')) {
+            const kind = key.slice('kind.'.length);
+            if (!KINDS.includes(kind)) {
+                throw new Error(`kind 只能是 ${KINDS.join('、')} 之一，实际为 "${kind}"`);
+            }
+            options.kinds = { ...options.kinds, [kind]: parsePatterns(key, value) };
+            continue;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(OPTION_PARSERS, key)) {
+            throw new Error(`未知选项 "${key}"`);
+        }
+        options[key] = OPTION_PARSERS[key](value);
+    }
+
+    // 来源相关的必填项
+    if ((options.source === 'gitea' || options.source === 'forgejo') && !options.host) {
+        throw new Error(`source=${options.source} 需要通过 host 指定实例地址`);
+    }
+    if (options.source === 'manifest' && !options.url) {
+        throw new Error('source=manifest 需要通过 url 指定清单地址');
+    }
+    return { name, options };
+}
+
+// 解析整个仓库列表文件，返回 { repos, errors }
+// 非法行不会出现在 repos 中，而是以 { line, text, message } 的形式记录在 errors 中
+function parseRepoList(text) {
+    const repos = [];
+    const errors = [];
+    const seen = new Set();
+
+    text.split('\n').forEach((raw, index) => {
+        const line = raw.replace(/(^|\s)#.*$/, '').trim();
+        if (!line) return;
+
+        try {
+            const repo = parseRepoLine(line);
+            if (seen.has(repo.name)) {
+                throw new Error(`仓库 ${repo.name} 重复`);
+            }
+            seen.add(repo.name);
+            repos.push(repo);
+        } catch (err) {
+            errors.push({ line: index + 1, text: raw.trim(), message: err.message });
+        }
+    });
+
+    return { repos, errors };
+}
+
+// 在仓库列表末尾追加一行，返回新的文件内容（不做校验）
+function appendRepoLine(text, line) {
+    const body = text.replace(/\s*$/, '');
+    return `${body ? `${body}\n` : ''}${line.trim()}\n`;
+}
+
+// 从仓库列表中删除指定仓库所在的行（保留注释和其他行），返回新的文件内容
+function removeRepoLine(text, name) {
+    return text
+        .split('\n')
+        .filter(raw => raw.replace(/(^|\s)#.*$/, '').trim().split(/\s+/)[0] !== name)
+        .join('\n');
+}
+
+module.exports = {
+    parseRepoLine,
+    parseRepoList,
+    appendRepoLine,
+    removeRepoLine
+};
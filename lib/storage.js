@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+
+const STORAGE_MODE = process.env.STORAGE_MODE || 'redirect'; // redirect: 跳转到 MIRROR_BASE；local: 下载到本地并直接提供
+const STORAGE_DIR = process.env.STORAGE_DIR || 'storage';
+const BLOB_DIR = path.resolve(STORAGE_DIR, 'blobs');
+const TMP_DIR = path.resolve(STORAGE_DIR, 'tmp');
+const DOWNLOAD_TIMEOUT = 60 * 1000; // 连接空闲超时 60 秒
+
+// 是否启用本地存储模式
+function isLocalMode() {
+    return STORAGE_MODE === 'local';
+}
+
+// 按 SHA-256 计算文件存放路径（内容寻址，前两位作为子目录）
+function blobPath(sha256) {
+    return path.join(BLOB_DIR, sha256.slice(0, 2), sha256);
+}
+
+// 判断某个内容是否已存储在本地
+function hasBlob(sha256) {
+    return !!sha256 && fs.existsSync(blobPath(sha256));
+}
+
+// 下载文件到本地存储，返回 { size, sha256 }
+async function storeAsset(url, headers = {}) {
+    fs.mkdirSync(TMP_DIR, { recursive: true });
+    const tmpFile = path.join(TMP_DIR, `${process.pid}-${crypto.randomBytes(8).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+        const response = await axios.get(url, {
+            responseType: 'stream',
+            timeout: DOWNLOAD_TIMEOUT,
+            headers: { 'User-Agent': 'Node.js Mirror Proxy', ...headers }
+        });
+
+        // 边写入临时文件边计算摘要
+        await pipeline(
+            response.data,
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                }
+            }),
+            fs.createWriteStream(tmpFile)
+        );
+
+        const sha256 = hash.digest('hex');
+        const target = blobPath(sha256);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(tmpFile, target);
+        return { size, sha256 };
+    } catch (err) {
+        fs.rmSync(tmpFile, { force: true });
+        throw err;
+    }
+}
+
+// 重新计算本地文件的摘要，判断内容是否完好（文件不存在时返回 false）
+async function verifyBlob(sha256) {
+    if (!hasBlob(sha256)) return false;
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(blobPath(sha256)), hash);
+    return hash.digest('hex') === sha256;
+}
+
+// 删除不在引用集合中的文件，返回删除数量
+function pruneBlobs(referenced) {
+    if (!fs.existsSync(BLOB_DIR)) return 0;
+
+    let removed = 0;
+    for (const dir of fs.readdirSync(BLOB_DIR)) {
+        for (const sha256 of fs.readdirSync(path.join(BLOB_DIR, dir))) {
+            if (!referenced.has(sha256)) {
+                fs.rmSync(blobPath(sha256), { force: true });
+                removed++;
+            }
+        }
+    }
+    return removed;
+}
+
+// 从本地存储发送文件（Range、条件请求由 send 处理）
+function sendAsset(res, asset, callback) {
+    res.attachment(asset.name);
+    res.set('ETag', `"${asset.sha256}"`);
+    res.sendFile(blobPath(asset.sha256), { etag: false }, callback);
+}
+
+module.exports = {
+    STORAGE_DIR,
+    isLocalMode,
+    blobPath,
+    hasBlob,
+    storeAsset,
+    verifyBlob,
+    pruneBlobs,
+    sendAsset
+};
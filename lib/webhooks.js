@@ -0,0 +1,213 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// 外发通知
+//
+// 配置文件为 JSON 数组，每项：
+//   {
+//     "url": "https://example.com/hook",
+//     "format": "json",                      // json（默认）、dingtalk、feishu、wecom、slack、discord
+//     "events": ["release.new", "sync.failed"], // 省略时订阅全部事件
+//     "secret": "..."                        // 可选：json 格式用于 HMAC 签名，钉钉/飞书用于加签
+//   }
+
+const EVENTS = ['release.new', 'assets.changed', 'sync.failed', 'sync.missing', 'sync.recovered'];
+const FORMATS = ['json', 'dingtalk', 'feishu', 'wecom', 'slack', 'discord'];
+const RETRY_DELAYS = [0, 5 * 1000, 30 * 1000]; // 共尝试 3 次
+const DELIVERY_LOG_LIMIT = 100;
+const REQUEST_TIMEOUT = 10 * 1000;
+
+let webhooks = [];
+let deliveryLogFile = null;
+const deliveries = []; // 最近的投递记录，新的在前
+const pending = new Set(); // 尚未结束的投递
+
+// 校验并加载配置，返回错误信息列表（文件不存在视为未配置）
+// logFile 为投递日志文件，每次投递结束后追加一行 JSON
+function loadWebhooks(file, logFile) {
+    webhooks = [];
+    deliveryLogFile = logFile || null;
+    if (!fs.existsSync(file)) return [];
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        return [`${file} 无法解析：${err.message}`];
+    }
+    if (!Array.isArray(config)) {
+        return [`${file} 应为 JSON 数组`];
+    }
+
+    const errors = [];
+    config.forEach((hook, index) => {
+        const where = `${file} 第 ${index + 1} 项`;
+        if (!hook || typeof hook.url !== 'string' || !/^https?:\/\//.test(hook.url)) {
+            errors.push(`${where}：url 必须是 http(s) 地址`);
+            return;
+        }
+        const format = hook.format || 'json';
+        if (!FORMATS.includes(format)) {
+            errors.push(`${where}：format 只能是 ${FORMATS.join('、')} 之一`);
+            return;
+        }
+        const events = hook.events || EVENTS;
+        if (!Array.isArray(events)) {
+            errors.push(`${where}：events 应为数组`);
+            return;
+        }
+        const unknown = events.filter(e => !EVENTS.includes(e));
+        if (unknown.length > 0) {
+            errors.push(`${where}：未知事件 ${unknown.join('、')}，可选 ${EVENTS.join('、')}`);
+            return;
+        }
+        webhooks.push({ url: hook.url, format, events, secret: hook.secret || '' });
+    });
+    return errors;
+}
+
+// 事件的文字描述（用于聊天机器人）
+function describe(event, repo, data) {
+    const link = data.url ? `\n${data.url}` : '';
+    switch (event) {
+        case 'release.new':
+            return `[${repo}] 新版本 ${data.from} → ${data.to}${link}`;
+        case 'assets.changed': {
+            const changes = [
+                ...data.added.map(name => `+ ${name}`),
+                ...data.removed.map(name => `- ${name}`)
+            ].join('\n');
+            return `[${repo}] ${data.to} 文件变化\n${changes}${link}`;
+        }
+        case 'sync.failed':
+            return `[${repo}] 同步连续失败 ${data.retryCount} 次：${data.error}${link}`;
+        case 'sync.missing':
+            return `[${repo}] 上游仓库或发布版本不存在（可能已删除或改名）：${data.error}${link}`;
+        case 'sync.recovered':
+            return `[${repo}] 同步已恢复（${data.version}）${link}`;
+        default:
+            return `[${repo}] ${event}`;
+    }
+}
+
+// 按格式生成请求，返回 { url, body, headers }
+function buildRequest(hook, payload) {
+    const text = describe(payload.event, payload.repo, payload.data);
+    const timestamp = Date.now();
+
+    switch (hook.format) {
+        case 'dingtalk': {
+            let url = hook.url;
+            if (hook.secret) {
+                const sign = crypto.createHmac('sha256', hook.secret)
+                    .update(`${timestamp}\n${hook.secret}`)
+                    .digest('base64');
+                url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+            }
+            return { url, body: { msgtype: 'text', text: { content: text } } };
+        }
+        case 'feishu': {
+            const body = { msg_type: 'text', content: { text } };
+            if (hook.secret) {
+                const seconds = Math.floor(timestamp / 1000);
+                body.timestamp = String(seconds);
+                body.sign = crypto.createHmac('sha256', `${seconds}\n${hook.secret}`).update('').digest('base64');
+            }
+            return { url: hook.url, body };
+        }
+        case 'wecom':
+            return { url: hook.url, body: { msgtype: 'text', text: { content: text } } };
+        case 'slack':
+            return { url: hook.url, body: { text } };
+        case 'discord':
+            return { url: hook.url, body: { content: text } };
+        default: {
+            const body = JSON.stringify(payload);
+            const headers = { 'X-Mirror-Event': payload.event };
+            if (hook.secret) {
+                headers['X-Mirror-Signature'] = `sha256=${crypto.createHmac('sha256', hook.secret).update(body).digest('hex')}`;
+            }
+            return { url: hook.url, body, headers };
+        }
+    }
+}
+
+function logDelivery(entry) {
+    deliveries.unshift(entry);
+    deliveries.length = Math.min(deliveries.length, DELIVERY_LOG_LIMIT);
+}
+
+// 投递结束（成功或放弃）后写入日志文件
+function writeDeliveryLog(entry) {
+    if (!deliveryLogFile) return;
+    try {
+        fs.appendFileSync(deliveryLogFile, JSON.stringify(entry) + '\n');
+    } catch (err) {
+        console.error(`写入通知日志失败：${err.message}`);
+    }
+}
+
+// 投递到单个地址，失败后按 RETRY_DELAYS 重试
+async function deliver(hook, payload) {
+    const { url, body, headers = {} } = buildRequest(hook, payload);
+    const entry = {
+        event: payload.event,
+        repo: payload.repo,
+        url: hook.url,
+        at: new Date().toISOString(),
+        attempts: 0,
+        status: null,
+        error: null
+    };
+    logDelivery(entry);
+
+    for (const delay of RETRY_DELAYS) {
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        entry.attempts++;
+        try {
+            const response = await axios.post(url, body, {
+                timeout: REQUEST_TIMEOUT,
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'Node.js Mirror Proxy', ...headers }
+            });
+            entry.status = response.status;
+            entry.error = null;
+            writeDeliveryLog(entry);
+            return;
+        } catch (err) {
+            entry.status = err.response?.status || null;
+            entry.error = err.message;
+        }
+    }
+    console.error(`[${payload.repo}] 通知 ${hook.url} 失败（${entry.attempts} 次）：${entry.error}`);
+    writeDeliveryLog(entry);
+}
+
+// 触发事件：投递到所有订阅该事件的地址（异步进行，不阻塞同步）
+function emit(event, repo, data = {}) {
+    const payload = { event, repo, timestamp: new Date().toISOString(), data };
+    for (const hook of webhooks.filter(h => h.events.includes(event))) {
+        const delivery = deliver(hook, payload).finally(() => pending.delete(delivery));
+        pending.add(delivery);
+    }
+}
+
+// 等待所有投递（含重试）结束，用于命令行同步后退出前
+async function waitForDeliveries() {
+    await Promise.allSettled(pending);
+}
+
+// 最近的投递记录
+function getDeliveries() {
+    return deliveries.map(entry => ({ ...entry }));
+}
+
+module.exports = {
+    EVENTS,
+    loadWebhooks,
+    emit,
+    waitForDeliveries,
+    getDeliveries
+};
@@ -0,0 +1,151 @@
+// English
+
+module.exports = {
+    'site.name': 'TWOSI Open Source Mirror',
+    'site.tagline': 'TWOSI software mirror service',
+    'site.title': '{title} - TWOSI',
+    'nav.home': 'Back to home',
+    'nav.repo': 'Back to repository',
+    'nav.updates': 'Recent updates',
+    'nav.stats': 'Download stats',
+    'nav.feed': 'Feed',
+
+    'home.repoCount': '{count} repositories mirrored',
+    'home.search': 'Search repositories...',
+    'home.sort.updated': 'Recently updated',
+    'home.sort.stars': 'Most stars',
+    'home.sort.downloads': 'Most downloads',
+    'home.syncFailed': 'Sync failed',
+    'home.disabled': 'Disabled',
+    'home.disabledHint': 'Sync failed {count} times in a row; automatic sync stopped',
+    'home.downloadsHint': 'Downloads in the last {days} days',
+    'home.lastSync': 'Last synced: {date}',
+    'home.neverSynced': 'never',
+
+    'repo.source': 'Source: ',
+    'repo.historical': ' (older release)',
+    'repo.latest': ' (latest)',
+    'repo.prerelease': ' (pre-release)',
+    'repo.disabled': 'Automatic sync stopped',
+    'repo.disabledDetail': 'Sync failed {count} times in a row, so the files below may be out of date. Last error: {error}',
+    'repo.unknownError': 'unknown',
+    'repo.downloads': 'Downloads',
+    'repo.notes': 'Release notes',
+    'repo.history': 'Sync history',
+    'repo.unnamed': 'Unnamed file',
+    'repo.unknownTime': 'Unknown time',
+    'repo.published': 'Published {time}',
+    'repo.synced': 'Synced {time}',
+    'repo.stored': 'stored locally',
+    'repo.invalidLink': 'Invalid link',
+    'repo.mismatch': '⚠ Checksum mismatch ({what} does not match the upstream digest)',
+    'repo.mismatch.local': 'downloaded file',
+    'repo.mismatch.file': 'checksum file',
+    'repo.recommendedDownload': 'Recommended download',
+    'repo.recommendedFor': 'For your device ({device})',
+    'group.windows': 'Windows',
+    'group.macos': 'macOS',
+    'group.linux': 'Linux',
+    'group.android': 'Android',
+    'group.ios': 'iOS',
+    'group.other': 'Other files',
+    'group.verify': 'Checksums and signatures',
+    'platform.windows': 'Windows',
+    'platform.macos': 'macOS',
+    'platform.linux': 'Linux',
+    'platform.android': 'Android',
+    'platform.ios': 'iOS',
+    'arch.x64': 'x64',
+    'arch.x86': 'x86',
+    'arch.arm64': 'ARM64',
+    'arch.arm': 'ARM',
+    'arch.universal': 'Universal',
+    'kind.installer': 'Installer',
+    'kind.portable': 'Portable',
+    'kind.checksum': 'Checksum',
+    'kind.signature': 'Signature',
+    'checksum.upstream': 'Digest provided by upstream',
+    'checksum.checksum-file': 'Digest from the checksum file in the release',
+    'checksum.local': 'Digest computed by this mirror after download',
+
+    'history.filesChanged': '{version} files changed',
+    'history.firstSync': 'First sync {version}',
+    'history.fileCounts': '{added} added, {removed} removed',
+
+    'updates.title': 'Recent updates',
+    'updates.subtitle': 'Version changes across all mirrored repositories',
+    'updates.empty': 'No sync history yet',
+
+    'stats.title': 'Download stats',
+    'stats.allRepos': 'All repositories',
+    'stats.everyRepo': 'All mirrored repositories',
+    'stats.summary': '{count} downloads in the last {days} days',
+    'stats.days': '{days} days',
+    'stats.daily': 'Daily downloads',
+    'stats.fileRanking': 'Top files',
+    'stats.repoRanking': 'Top repositories',
+    'stats.file': 'File',
+    'stats.repo': 'Repository',
+    'stats.count': 'Downloads',
+    'stats.empty': 'No downloads recorded',
+    'stats.bar': '{date}: {count}',
+    'stats.max': 'Peak {count}/day',
+
+    'error.notFound': '404 - Page not found',
+    'error.notFoundSubtitle': 'The requested resource does not exist',
+    'error.notFoundMessage': '😢 The page you requested does not exist',
+    'error.noMatch': 'No matching file',
+    'error.noMatchMessage': 'No file in the latest release matches “{pattern}”',
+    'error.viewAll': 'View all files',
+    'error.multipleMatches': 'Multiple files matched',
+    'error.invalidPattern': 'Unsupported pattern',
+    'error.invalidPatternMessage': 'Download links do not accept re: regular expressions; use a glob pattern or a repository alias',
+    'error.multipleMatchesMessage': '“{pattern}” matched {count} files; pick one or use a more specific pattern',
+
+    'busy.title': 'Server busy',
+    'busy.subtitle': 'Please try again shortly',
+    'busy.requests': 'Too many requests; please try again in {seconds} seconds',
+    'busy.downloads': 'Too many downloads in progress; please try again in {seconds} seconds',
+    'busy.retry': 'Retry',
+
+    'redirect.subtitle': 'Redirecting to the download',
+    'redirect.message': 'If the download does not start automatically, use the link below',
+
+    'admin.title': 'Admin',
+    'admin.repoCount': '{count} repositories',
+    'admin.running': 'sync in progress',
+    'admin.add': 'Add repository',
+    'admin.syncAll': 'Sync all',
+    'admin.col.repo': 'Repository',
+    'admin.col.version': 'Version',
+    'admin.col.status': 'Status',
+    'admin.col.retries': 'Retries',
+    'admin.col.lastError': 'Last error',
+    'admin.col.actions': 'Actions',
+    'admin.disabled': 'Automatic sync disabled',
+    'admin.cooldown': 'Cooling down until {time}',
+    'admin.sync': 'Sync',
+    'admin.enable': 'Re-enable',
+    'admin.reset': 'Clear cooldown',
+    'admin.delete': 'Delete',
+    'admin.confirmDelete': 'Delete {repo}?',
+    'admin.deliveries': 'Notification deliveries',
+    'admin.col.time': 'Time',
+    'admin.col.event': 'Event',
+    'admin.col.url': 'URL',
+    'admin.col.result': 'Result',
+    'admin.delivery.failed': 'Failed ({count} attempts)',
+    'admin.delivery.ok': 'OK {status}',
+    'admin.delivery.pending': 'Delivering',
+    'admin.authRequired': 'Administrator authentication required',
+    'admin.crossSite': 'Cross-site requests are not allowed',
+    'admin.msg.addFailed': 'Could not add: {error}',
+    'admin.msg.empty': 'empty line',
+    'admin.msg.added': 'Added {repo}, syncing now',
+    'admin.msg.notFound': 'Repository not found',
+    'admin.msg.deleted': 'Deleted {repo}',
+    'admin.msg.syncing': 'Syncing {repo}',
+    'admin.msg.reset': 'Cleared the cooldown for {repo}',
+    'admin.msg.busy': 'A sync is already running, please try again later',
+    'admin.msg.syncingAll': 'Syncing all repositories'
+};
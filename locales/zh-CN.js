@@ -0,0 +1,151 @@
+// 简体中文
+
+module.exports = {
+    'site.name': 'TWOSI 开源镜像站',
+    'site.tagline': '天外软件镜像服务',
+    'site.title': '{title} - TWOSI',
+    'nav.home': '返回首页',
+    'nav.repo': '返回仓库',
+    'nav.updates': '最近更新',
+    'nav.stats': '下载统计',
+    'nav.feed': '订阅',
+
+    'home.repoCount': '{count}个仓库镜像中',
+    'home.search': '搜索仓库...',
+    'home.sort.updated': '最近更新',
+    'home.sort.stars': '最多收藏',
+    'home.sort.downloads': '最多下载',
+    'home.syncFailed': '同步失败',
+    'home.disabled': '已停用',
+    'home.disabledHint': '连续 {count} 次同步失败，已停止自动同步',
+    'home.downloadsHint': '最近 {days} 天下载次数',
+    'home.lastSync': '最后同步：{date}',
+    'home.neverSynced': '从未同步',
+
+    'repo.source': '来源：',
+    'repo.historical': '（历史版本）',
+    'repo.latest': '（最新）',
+    'repo.prerelease': '（预发布）',
+    'repo.disabled': '已停止自动同步',
+    'repo.disabledDetail': '连续 {count} 次同步失败，以下内容可能不是最新版本。最近错误：{error}',
+    'repo.unknownError': '未知',
+    'repo.downloads': '可用下载',
+    'repo.notes': '发布说明',
+    'repo.history': '同步记录',
+    'repo.unnamed': '未命名文件',
+    'repo.unknownTime': '未知时间',
+    'repo.published': '{time} 发布',
+    'repo.synced': '{time} 同步',
+    'repo.stored': '本地存储',
+    'repo.invalidLink': '无效链接',
+    'repo.mismatch': '⚠ 校验不一致（{what}与上游摘要不符）',
+    'repo.mismatch.local': '下载内容',
+    'repo.mismatch.file': '校验文件',
+    'repo.recommendedDownload': '推荐下载',
+    'repo.recommendedFor': '适用于你的设备（{device}）',
+    'group.windows': 'Windows',
+    'group.macos': 'macOS',
+    'group.linux': 'Linux',
+    'group.android': 'Android',
+    'group.ios': 'iOS',
+    'group.other': '其他文件',
+    'group.verify': '校验与签名',
+    'platform.windows': 'Windows',
+    'platform.macos': 'macOS',
+    'platform.linux': 'Linux',
+    'platform.android': 'Android',
+    'platform.ios': 'iOS',
+    'arch.x64': 'x64',
+    'arch.x86': 'x86',
+    'arch.arm64': 'ARM64',
+    'arch.arm': 'ARM',
+    'arch.universal': '通用',
+    'kind.installer': '安装程序',
+    'kind.portable': '便携版',
+    'kind.checksum': '校验文件',
+    'kind.signature': '签名',
+    'checksum.upstream': '摘要由上游提供',
+    'checksum.checksum-file': '摘要来自发布中的校验文件',
+    'checksum.local': '摘要由本站下载后计算',
+
+    'history.filesChanged': '{version} 文件变化',
+    'history.firstSync': '首次同步 {version}',
+    'history.fileCounts': '{added} 个新增，{removed} 个移除',
+
+    'updates.title': '最近更新',
+    'updates.subtitle': '所有镜像仓库的版本变化',
+    'updates.empty': '暂无同步记录',
+
+    'stats.title': '下载统计',
+    'stats.allRepos': '全部仓库',
+    'stats.everyRepo': '所有镜像仓库',
+    'stats.summary': '最近 {days} 天共 {count} 次下载',
+    'stats.days': '{days} 天',
+    'stats.daily': '每日下载',
+    'stats.fileRanking': '文件排行',
+    'stats.repoRanking': '仓库排行',
+    'stats.file': '文件',
+    'stats.repo': '仓库',
+    'stats.count': '下载次数',
+    'stats.empty': '暂无下载记录',
+    'stats.bar': '{date}：{count} 次',
+    'stats.max': '最多 {count} 次/天',
+
+    'error.notFound': '404 - 页面未找到',
+    'error.notFoundSubtitle': '请求的资源不存在',
+    'error.notFoundMessage': '😢 您访问的页面不存在',
+    'error.noMatch': '没有匹配的文件',
+    'error.noMatchMessage': '最新版本中没有与 “{pattern}” 匹配的文件',
+    'error.viewAll': '查看全部文件',
+    'error.multipleMatches': '匹配到多个文件',
+    'error.invalidPattern': '不支持的模式',
+    'error.invalidPatternMessage': '下载链接不支持 re: 正则，请使用 glob 模式或仓库别名',
+    'error.multipleMatchesMessage': '“{pattern}” 匹配到 {count} 个文件，请选择或使用更精确的模式',
+
+    'busy.title': '服务繁忙',
+    'busy.subtitle': '请稍后重试',
+    'busy.requests': '请求过于频繁，请在 {seconds} 秒后重试',
+    'busy.downloads': '当前下载人数较多，请在 {seconds} 秒后重试',
+    'busy.retry': '重试',
+
+    'redirect.subtitle': '正在跳转到下载地址',
+    'redirect.message': '如果下载没有自动开始，请点击下面的链接',
+
+    'admin.title': '管理后台',
+    'admin.repoCount': '{count} 个仓库',
+    'admin.running': '同步进行中',
+    'admin.add': '添加仓库',
+    'admin.syncAll': '全部同步',
+    'admin.col.repo': '仓库',
+    'admin.col.version': '版本',
+    'admin.col.status': '状态',
+    'admin.col.retries': '重试次数',
+    'admin.col.lastError': '最近错误',
+    'admin.col.actions': '操作',
+    'admin.disabled': '已停用自动同步',
+    'admin.cooldown': '冷却至 {time}',
+    'admin.sync': '同步',
+    'admin.enable': '重新启用',
+    'admin.reset': '清除冷却',
+    'admin.delete': '删除',
+    'admin.confirmDelete': '确定删除 {repo}？',
+    'admin.deliveries': '通知投递记录',
+    'admin.col.time': '时间',
+    'admin.col.event': '事件',
+    'admin.col.url': '地址',
+    'admin.col.result': '结果',
+    'admin.delivery.failed': '失败（{count} 次）',
+    'admin.delivery.ok': '成功 {status}',
+    'admin.delivery.pending': '投递中',
+    'admin.authRequired': '需要管理员认证',
+    'admin.crossSite': '禁止跨站请求',
+    'admin.msg.addFailed': '添加失败：{error}',
+    'admin.msg.empty': '内容为空',
+    'admin.msg.added': '已添加 {repo}，正在同步',
+    'admin.msg.notFound': '仓库不存在',
+    'admin.msg.deleted': '已删除 {repo}',
+    'admin.msg.syncing': '正在同步 {repo}',
+    'admin.msg.reset': '已清除 {repo} 的冷却状态',
+    'admin.msg.busy': '已有一轮同步正在进行，请稍后再试',
+    'admin.msg.syncingAll': '正在同步全部仓库'
+};
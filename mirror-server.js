@@ -1,115 +1,493 @@
 const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
 const cron = require('node-cron');
 const express = require('express');
+const storage = require('./lib/storage');
+const { NotFoundError } = require('./lib/errors');
+const checksums = require('./lib/checksums');
+const { CacheFileError, readCache, writeCache } = require('./lib/cache-file');
+const { renderMarkdown } = require('./lib/markdown');
+const { html } = require('./lib/html');
+const { formatVersion } = require('./lib/format');
+const { i18nMiddleware } = require('./lib/i18n');
+const { renderAtomFeed } = require('./lib/feed');
+const { getProvider } = require('./lib/providers');
+const { parseRepoList, appendRepoLine, removeRepoLine } = require('./lib/repos');
+const { matchesAny, matchGlob, isRegExpPattern } = require('./lib/glob');
+const { parseBandwidth, createRateLimiter, createDownloadSlots, createBandwidthLimiter } = require('./lib/limits');
+const {
+    PLATFORMS, ARCHES, matchesPlatform, parsePlatformAlias, classifyAsset, detectDevice, recommendAsset
+} = require('./lib/platform');
+const webhooks = require('./lib/webhooks');
+const github = require('./lib/github');
+const metrics = require('./lib/metrics');
+const downloads = require('./lib/downloads');
+const views = require('./views');
 
 const REPOS_FILE = 'repos.txt';
 const PORT = process.env.PORT || 3100;
 const MIRROR_BASE = process.env.MIRROR_BASE || 'https://gh.thfls.club/';
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, ''); // 对外访问地址，未设置时按请求推断
 const CACHE_FILE = 'repo_cache.json';
-const REQUEST_INTERVAL = 3000; // 基础请求间隔 3 秒
-const MAX_RETRY_ATTEMPTS = 5;  // 最大重试次数
+const WEBHOOKS_FILE = 'webhooks.json';          // 外发通知配置，不存在时不发送
+const WEBHOOK_LOG = 'webhook_deliveries.log';   // 通知投递日志
+const DOWNLOADS_FILE = 'download_stats.json';   // 下载统计
+const DOWNLOAD_STATS_DAYS = parseInt(process.env.DOWNLOAD_STATS_DAYS, 10) || 365; // 下载统计保留天数
+const POPULAR_DAYS = 30; // 首页按最近多少天的下载数排序
+const SYNC_CRON = process.env.SYNC_CRON || '0 3 * * *';                          // 定时同步的 cron 表达式
+const SYNC_CONCURRENCY = Math.max(parseInt(process.env.SYNC_CONCURRENCY, 10) || 1, 1); // 同时同步的仓库数
+const REQUEST_INTERVAL = parseInt(process.env.REQUEST_INTERVAL, 10) || 3000;       // 每个仓库同步后的等待时间（毫秒）
+const MAX_RETRY_ATTEMPTS = parseInt(process.env.MAX_RETRY_ATTEMPTS, 10) || 5;      // 连续失败多少次后停用自动同步
+const RETRY_BASE_DELAY = 5 * 60 * 1000;      // 重试基础等待 5 分钟
+const RETRY_MAX_DELAY = 12 * 60 * 60 * 1000; // 重试最长等待 12 小时
+const RELEASE_RETENTION = parseInt(process.env.RELEASE_RETENTION, 10) || 3; // 每个仓库默认保留的发布版本数
+const HISTORY_LIMIT = 50; // 每个仓库保留的同步记录数
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';       // 管理令牌（Bearer 或 Basic 密码）
+const ADMIN_USER = process.env.ADMIN_USER || 'admin';    // Basic 认证用户名
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || ''; // Basic 认证密码
+const HEALTH_MAX_AGE = (parseFloat(process.env.HEALTH_MAX_AGE_HOURS) || 26) * 60 * 60 * 1000; // 缓存或调度超过此时长未更新视为异常
+const RATE_LIMIT = parseInt(process.env.RATE_LIMIT, 10) || 0;                     // 每个 IP 每分钟的请求数，0 为不限制
+const MAX_DOWNLOADS_PER_IP = parseInt(process.env.MAX_DOWNLOADS_PER_IP, 10) || 0; // 每个 IP 同时进行的本地下载数，0 为不限制
+const MAX_DOWNLOADS = parseInt(process.env.MAX_DOWNLOADS, 10) || 0;               // 全站同时进行的本地下载数，0 为不限制
+const DOWNLOAD_BANDWIDTH = parseBandwidth(process.env.DOWNLOAD_BANDWIDTH);         // 本地下载的总带宽（如 20M 为每秒 20 MB），不设置时不限制
+const DOWNLOAD_RETRY_AFTER = 30; // 同时下载数已满时建议的重试等待（秒）
+const TRUST_PROXY = process.env.TRUST_PROXY || ''; // 反向代理设置（同 Express 的 trust proxy），用于识别访问者 IP
+const UNLIMITED_PATHS = ['/metrics', '/healthz', '/readyz']; // 不受请求频率限制的路径
+const STARTED_AT = Date.now();
 
 let repoCache = {};
 
-// 初始化加载缓存
+// 初始化加载缓存（旧格式会自动迁移，文件损坏时抛出 CacheFileError）
 function loadCache() {
-    try {
-        repoCache = JSON.parse(fs.readFileSync(CACHE_FILE));
-        console.log(`已加载 ${Object.keys(repoCache).length} 个仓库的缓存`);
-    } catch (e) {
-        repoCache = {};
-    }
+    repoCache = readCache(CACHE_FILE);
 }
 
-// 保存缓存到文件
+// 保存缓存到文件（原子替换，并保留上一代备份）
 function saveCache() {
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(repoCache, null, 2));
+    writeCache(CACHE_FILE, repoCache);
 }
 
-// 获取仓库列表
+// 获取仓库列表（每行格式：owner/repo [key=value ...]，非法行会被跳过）
 function getRepositories() {
-    return fs.readFileSync(REPOS_FILE, 'utf-8')
-        .split('\n')
-        .map(l => l.trim())
-        .filter(l => l && !l.startsWith('#'));
+    return parseRepoList(fs.readFileSync(REPOS_FILE, 'utf-8')).repos;
+}
+
+// 写回仓库列表（先写临时文件再替换，避免写入中断导致文件损坏）
+function saveRepositories(text) {
+    const tmpFile = `${REPOS_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, text);
+    fs.renameSync(tmpFile, REPOS_FILE);
+}
+
+// 检查仓库列表，输出所有非法行，返回错误数量
+function checkRepositories() {
+    const { errors } = parseRepoList(fs.readFileSync(REPOS_FILE, 'utf-8'));
+    for (const { line, text, message } of errors) {
+        console.error(`${REPOS_FILE}:${line}: ${message}\n    ${text}`);
+    }
+    return errors.length;
+}
+
+// 在仓库列表末尾追加一行并返回新仓库 { name, options }
+// 该行有误（包括重复）、包含换行或没有声明仓库（如注释行）时抛出错误
+function addRepository(line) {
+    if (/[\r\n]/.test(line)) {
+        throw new Error('只能添加一行');
+    }
+    const current = fs.readFileSync(REPOS_FILE, 'utf-8');
+    const text = appendRepoLine(current, line);
+    const { repos, errors } = parseRepoList(text);
+    const error = errors.find(e => e.text === line.trim());
+    if (error) {
+        throw new Error(error.message);
+    }
+    if (repos.length !== parseRepoList(current).repos.length + 1) {
+        throw new Error('没有要添加的仓库');
+    }
+    saveRepositories(text);
+    return repos[repos.length - 1];
+}
+
+// 从仓库列表中删除仓库，同时移除缓存和不再引用的本地文件
+function removeRepository(name) {
+    saveRepositories(removeRepoLine(fs.readFileSync(REPOS_FILE, 'utf-8'), name));
+    delete repoCache[name];
+    saveCache();
+    pruneStorageIfIdle();
+}
+
+// 判断设置了同步间隔的仓库是否到期
+function isDueForSync(repo, now = Date.now()) {
+    const cache = repoCache[repo.name] || {};
+    return !cache.updated_at || new Date(cache.updated_at).getTime() + repo.interval <= now;
+}
+
+// 获取缓存中的发布列表（兼容只记录了最新版本的旧缓存）
+function getReleases(data) {
+    if (!data) return [];
+    if (data.releases) return data.releases;
+    return data.version ? [{ version: data.version, assets: data.assets || [] }] : [];
+}
+
+// 按名称查找资源：依次尝试仓库自定义别名、平台别名（如 android-arm64）和 glob
+// pattern 来自请求，不支持 re: 正则（调用方应先拒绝），仓库别名中的正则由 repos.txt 配置
+// options 为仓库选项，平台别名按资源分类匹配（含仓库的分类规则，不含校验和签名文件）
+function findAssets(assets, pattern, options = {}) {
+    const aliases = options.aliases || {};
+    if (Object.prototype.hasOwnProperty.call(aliases, pattern)) {
+        return assets.filter(a => matchesAny(a.name, aliases[pattern]));
+    }
+
+    const platformAlias = parsePlatformAlias(pattern);
+    if (platformAlias) {
+        return assets.filter(a => matchesPlatform(classifyAsset(a.name, options), platformAlias.platform, platformAlias.arch));
+    }
+
+    return assets.filter(a => matchGlob(a.name, pattern));
 }
 
-// 计算下次重试时间（指数退避）
+// 对外访问地址（未设置 PUBLIC_URL 时按请求推断；静态导出时 req 为 null，未设置 PUBLIC_URL 则返回站内路径）
+function absoluteUrl(req, path) {
+    return `${PUBLIC_URL || (req ? `${req.protocol}://${req.get('host')}` : '')}${path}`;
+}
+
+// 下载跳转地址：GitHub 的文件经 MIRROR_BASE 加速，其他来源直接跳转
+function mirrorUrl(url) {
+    return url.startsWith('https://github.com/') ? `${MIRROR_BASE}${url}` : url;
+}
+
+// 获取仓库来源（兼容未记录来源的旧缓存）
+function getSource(name, data) {
+    return data?.source || { type: 'github', host: 'github.com', url: `https://github.com/${name}` };
+}
+
+// 连续失败达到最大次数后停用自动同步，需手动同步成功或在管理后台重置
+function isDisabled(data) {
+    return (data?.retryCount || 0) >= MAX_RETRY_ATTEMPTS;
+}
+
+// 获取仓库同步状态：ok 正常，stale 最近同步失败但有旧数据，failed 从未成功，
+// disabled 连续失败已停用，missing 上游仓库或发布版本不存在，pending 尚未同步
+function getSyncStatus(data) {
+    if (!data) return 'pending';
+    if (isDisabled(data)) return 'disabled';
+    if (data.missing) return 'missing';
+    if (data.retryCount > 0) return data.version ? 'stale' : 'failed';
+    return data.version ? 'ok' : 'pending';
+}
+
+// 计算下次重试时间（指数退避，加入 ±25% 随机抖动，避免多个仓库同时重试）
 function calcNextRetry(failCount) {
-    const baseDelay = 5 * 60 * 1000; // 5 分钟基础等待
-    return Date.now() + (baseDelay * Math.pow(2, failCount));
+    const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, failCount), RETRY_MAX_DELAY);
+    return Date.now() + Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+// 查找上次同步中同名且下载地址相同的资源
+function findPreviousAsset(previousAssets, asset) {
+    return previousAssets.find(a => a.name === asset.name && a.download_url === asset.download_url);
+}
+
+// 补全并核对资源摘要：沿用上次的结果，缺失时解析同一版本中的 SHA256SUMS / *.sha256 文件，
+// 与上游 digest 不一致的资源标记为 mismatch
+async function verifyReleaseChecksums(repo, release, previousAssets = []) {
+    for (const asset of release.assets) {
+        const previous = findPreviousAsset(previousAssets, asset);
+        if (!asset.sha256 && previous?.sha256 && !previous.mismatch) {
+            asset.sha256 = previous.sha256;
+            asset.checksum_source = previous.checksum_source;
+        } else if (previous?.mismatch && previous.sha256 === asset.sha256) {
+            asset.mismatch = previous.mismatch;
+        }
+    }
+
+    const needsChecksums = release.assets.some(a => !a.sha256 && !checksums.isChecksumFile(a.name));
+    if (!needsChecksums || !release.assets.some(a => checksums.isChecksumFile(a.name))) return;
+
+    let published;
+    try {
+        published = await checksums.fetchPublishedChecksums(release.assets);
+    } catch (err) {
+        console.error(`[${repo}] 获取 ${release.version} 的校验文件失败:`, err.message);
+        return;
+    }
+
+    for (const asset of release.assets) {
+        const sha256 = published.get(asset.name);
+        if (!sha256) continue;
+
+        if (!asset.sha256) {
+            asset.sha256 = sha256;
+            asset.checksum_source = 'checksum-file';
+        } else if (asset.sha256 !== sha256) {
+            asset.mismatch = { actual: sha256, source: 'checksum-file' };
+            console.error(`[${repo}] ${asset.name} 校验不一致：上游 ${asset.sha256}，校验文件 ${sha256}`);
+        }
+    }
+}
+
+// 本地存储模式下下载仓库资源（已存储且未变化的资源直接复用），
+// 已知摘要的资源下载后核对，不一致时不予存储
+async function storeRepoAssets(repo, assets, previousAssets = []) {
+    for (const asset of assets) {
+        const previous = findPreviousAsset(previousAssets, asset);
+        if (previous && storage.hasBlob(previous.sha256) && (!asset.sha256 || asset.sha256 === previous.sha256)) {
+            asset.size = previous.size;
+            asset.sha256 = previous.sha256;
+            asset.checksum_source = asset.checksum_source || previous.checksum_source;
+            continue;
+        }
+        if (storage.hasBlob(asset.sha256)) continue;
+
+        try {
+            const { size, sha256 } = await storage.storeAsset(asset.download_url);
+            if (asset.sha256 && asset.sha256 !== sha256) {
+                // 不一致的文件不被引用，会在清理时删除
+                asset.mismatch = { actual: sha256, source: 'local' };
+                console.error(`[${repo}] ${asset.name} 校验不一致：应为 ${asset.sha256}，下载得到 ${sha256}`);
+                continue;
+            }
+
+            delete asset.mismatch;
+            asset.size = size;
+            asset.sha256 = sha256;
+            asset.checksum_source = asset.checksum_source || 'local';
+            console.log(`[${repo}] 已存储 ${asset.name} (${size} 字节)`);
+        } catch (err) {
+            // 下载失败的资源保持跳转模式，下次同步再试
+            console.error(`[${repo}] 存储 ${asset.name} 失败:`, err.message);
+        }
+    }
+}
+
+// 删除不再被任何发布版本引用的本地文件
+function pruneStorage() {
+    const referenced = new Set();
+    for (const data of Object.values(repoCache)) {
+        for (const release of getReleases(data)) {
+            for (const asset of release.assets) {
+                if (asset.sha256) referenced.add(asset.sha256);
+            }
+        }
+    }
+
+    const removed = storage.pruneBlobs(referenced);
+    if (removed > 0) {
+        console.log(`已清理 ${removed} 个过期的本地文件`);
+    }
+}
+
+// 本地存储模式下清理过期文件；有仓库正在同步时跳过（其刚下载的文件尚未写入缓存，会被误删），
+// 由最后一个结束的同步清理
+function pruneStorageIfIdle() {
+    if (storage.isLocalMode() && syncing.size === 0) {
+        pruneStorage();
+    }
+}
+
+// 比较最新版本及其文件列表，无变化时返回 null
+function diffLatest(previous, latest) {
+    const oldNames = (previous.assets || []).map(a => a.name);
+    const newNames = latest.assets.map(a => a.name);
+    const added = newNames.filter(name => !oldNames.includes(name));
+    const removed = oldNames.filter(name => !newNames.includes(name));
+    if (previous.version === latest.version && added.length === 0 && removed.length === 0) {
+        return null;
+    }
+    return { from: previous.version || null, to: latest.version, added, removed };
+}
+
+// 有变化时追加一条同步记录（新记录在前），返回新的记录列表
+function appendHistory(previous, change) {
+    const history = previous.history || [];
+    if (!change) return history;
+    return [{ at: new Date().toISOString(), ...change }, ...history].slice(0, HISTORY_LIMIT);
+}
+
+// 通知中附带的仓库页面地址（需设置 PUBLIC_URL）
+function notifyUrl(repo) {
+    return PUBLIC_URL ? `${PUBLIC_URL}/${repo}` : undefined;
+}
+
+// 根据本次同步的变化发送通知；首次同步的仓库不通知
+function notifyChanges(repo, change) {
+    if (!change || !change.from) return;
+    const event = change.from !== change.to ? 'release.new' : 'assets.changed';
+    webhooks.emit(event, repo, { ...change, url: notifyUrl(repo) });
+}
+
+// 正在同步的仓库
+const syncing = new Set();
+
+// 更新单个仓库信息（force 为 true 时忽略冷却期和停用状态）；同一仓库同时只进行一次同步
+// 返回 true 表示同步成功，false 表示失败，null 表示跳过
+async function updateRepo(repo, options = {}, force = false) {
+    if (syncing.has(repo)) {
+        console.log(`[${repo}] 跳过（正在同步）`);
+        return null;
+    }
+    syncing.add(repo);
+    try {
+        return await doUpdateRepo(repo, options, force);
+    } finally {
+        syncing.delete(repo);
+        pruneStorageIfIdle();
+    }
 }
 
-// 更新单个仓库信息
-async function updateRepo(repo) {
+async function doUpdateRepo(repo, options, force) {
     const [owner, repoName] = repo.split('/');
-    if (!owner || !repoName) return;
+    if (!owner || !repoName) return false;
 
     const currentRepo = repoCache[repo] || {
         retryCount: 0,
         nextRetry: 0
     };
 
+    if (!force && isDisabled(currentRepo)) {
+        console.log(`[${repo}] 跳过（连续失败 ${currentRepo.retryCount} 次，已停用）`);
+        return null;
+    }
+
     // 检查是否在冷却期
-    if (currentRepo.nextRetry > Date.now()) {
+    if (!force && currentRepo.nextRetry > Date.now()) {
         console.log(`[${repo}] 跳过（冷却中，剩余 ${Math.ceil((currentRepo.nextRetry - Date.now())/60000)} 分钟）`);
-        return;
+        return null;
     }
 
     try {
-        // 获取仓库基础信息
-        const { data: repoData } = await axios.get(
-            `https://api.github.com/repos/${owner}/${repoName}`,
-            {
-                headers: {
-                    'User-Agent': 'Node.js Mirror Proxy',
-                    Authorization: process.env.GITHUB_TOKEN ? `token ${process.env.GITHUB_TOKEN}` : undefined
-                }
-            }
-        );
+        const etags = currentRepo.etags || {};
+        const provider = getProvider(options.source);
+        const upstreamPath = options.path || repo;
+
+        // 从上游获取仓库信息和发布列表：固定标签时只取该标签，否则取最近的若干版本
+        // 影响结果的选项变化后不能沿用缓存，因此发布列表的 ETag 与选项一起记录
+        const retention = options.keep || RELEASE_RETENTION;
+        const releasesKey = JSON.stringify([
+            options.source, options.host, options.path, options.url,
+            options.tag, options.prerelease, options.assets, retention
+        ]);
+        const result = await provider.fetchRepo(upstreamPath, options, {
+            etags: {
+                repo: etags.repo,
+                releases: etags.releases_key === releasesKey && currentRepo.releases ? etags.releases : undefined
+            },
+            limit: Math.min(Math.max(retention * 2, 10), 100)
+        });
+        const meta = result.meta || currentRepo.meta;
 
-        // 获取最新发布信息
-        const { data: releaseData } = await axios.get(
-            `https://api.github.com/repos/${owner}/${repoName}/releases/latest`,
-            { headers: { 'User-Agent': 'Node.js Mirror Proxy' } }
-        );
+        // 跳过草稿，默认跳过预发布版本
+        let releases = currentRepo.releases;
+        if (result.releases) {
+            releases = result.releases
+                .filter(r => !r.draft && (options.prerelease || !r.prerelease))
+                .slice(0, retention)
+                .map(r => ({
+                    version: r.version,
+                    published_at: r.published_at,
+                    prerelease: r.prerelease || undefined,
+                    notes: r.notes || undefined,
+                    assets: r.assets.filter(a => !options.assets || matchesAny(a.name, options.assets))
+                }));
+        }
+        if (releases.length === 0) {
+            throw new NotFoundError('没有可用的发布版本');
+        }
 
+        const previousAssets = getReleases(currentRepo).flatMap(r => r.assets);
+        if (result.releases) {
+            for (const release of releases) {
+                await verifyReleaseChecksums(repo, release, previousAssets);
+            }
+        }
+        if (storage.isLocalMode()) {
+            for (const release of releases) {
+                await storeRepoAssets(repo, release.assets, previousAssets);
+            }
+        }
+
+        const [latest] = releases;
+        const change = diffLatest(currentRepo, latest);
         repoCache[repo] = {
             ...repoCache[repo],
-            version: releaseData.tag_name,
-            assets: releaseData.assets.map(a => ({
-                name: a.name,
-                download_url: a.browser_download_url
-            })),
+            version: latest.version,
+            assets: latest.assets,
+            releases,
+            history: appendHistory(currentRepo, change),
             updated_at: new Date().toISOString(),
-            meta: {
-                stars: repoData.stargazers_count,
-                description: repoData.description,
-                language: repoData.language,
-                last_commit: repoData.pushed_at
+            meta,
+            source: {
+                type: options.source || 'github',
+                host: new URL(provider.webUrl(upstreamPath, options)).host,
+                url: provider.webUrl(upstreamPath, options)
+            },
+            etags: {
+                ...result.etags,
+                releases_key: releasesKey
             },
+            missing: undefined,
             retryCount: 0, // 重置重试计数
             nextRetry: 0    // 重置重试时间
         };
 
         saveCache();
-        console.log(`[${repo}] 缓存更新成功 (${releaseData.tag_name})`);
+        notifyChanges(repo, change);
+        if (isDisabled(currentRepo) || currentRepo.missing) {
+            webhooks.emit('sync.recovered', repo, {
+                version: latest.version,
+                url: notifyUrl(repo)
+            });
+        }
+        if (!result.meta && !result.releases) {
+            console.log(`[${repo}] 未变化 (${latest.version})`);
+        } else {
+            console.log(`[${repo}] 缓存更新成功 (${latest.version}，保留 ${releases.length} 个版本)`);
+        }
+        return true;
     } catch (err) {
         console.error(`[${repo}] 更新失败:`, err.message);
-        
-        const newRetryCount = currentRepo.retryCount + 1;
+
+        // 仓库或发布版本不存在不是临时故障，不进入指数退避，等待下一次定时同步
+        if (err instanceof NotFoundError) {
+            repoCache[repo] = {
+                ...currentRepo,
+                missing: true,
+                last_error: new Date().toISOString(),
+                last_error_message: err.message
+            };
+            saveCache();
+            // 只在刚变为不存在时通知一次（上游删除或改名）
+            if (!currentRepo.missing) {
+                webhooks.emit('sync.missing', repo, {
+                    error: err.message,
+                    url: notifyUrl(repo)
+                });
+            }
+            return false;
+        }
+
+        const newRetryCount = (currentRepo.retryCount || 0) + 1;
+        const disabled = newRetryCount >= MAX_RETRY_ATTEMPTS;
         repoCache[repo] = {
             ...currentRepo,
             retryCount: newRetryCount,
-            nextRetry: calcNextRetry(newRetryCount),
-            last_error: new Date().toISOString()
+            nextRetry: disabled ? 0 : calcNextRetry(newRetryCount),
+            last_error: new Date().toISOString(),
+            last_error_message: err.message
         };
         
-        if (newRetryCount >= MAX_RETRY_ATTEMPTS) {
-            console.error(`[${repo}] 已达到最大重试次数，停止重试`);
+        if (disabled) {
+            console.error(`[${repo}] 连续失败 ${newRetryCount} 次，已停用自动同步（可在管理后台重置）`);
         }
         saveCache();
+        // 只在刚停用时通知一次
+        if (newRetryCount === MAX_RETRY_ATTEMPTS) {
+            webhooks.emit('sync.failed', repo, {
+                retryCount: newRetryCount,
+                error: err.message,
+                url: notifyUrl(repo)
+            });
+        }
+        return false;
     }
 }
 
@@ -117,10 +495,12 @@ async function updateRepo(repo) {
 function getSortedRepos() {
     const now = Date.now();
     return getRepositories()
-        .map(repo => {
-            const cache = repoCache[repo] || {};
+        .map(({ name, options }) => {
+            const cache = repoCache[name] || {};
             return {
-                name: repo,
+                name,
+                options,
+                interval: options.interval || 0,
                 lastUpdated: cache.updated_at || 0,
                 retryCount: cache.retryCount || 0,
                 nextRetry: cache.nextRetry || 0,
@@ -157,264 +537,761 @@ function getSortedRepos() {
         });
 }
 
+// 同步调度状态
+const scheduler = {
+    running: false,         // 是否有一轮全量同步正在进行（同一时间只允许一轮）
+    queued: false,          // 定时同步遇到正在进行的一轮时排队，等其结束后执行
+    intervalRunning: false, // 按 interval 同步的检查是否正在进行
+    lastRun: 0              // 最近一轮全量同步完成的时间（按 interval 的检查不计入，用于健康检查）
+};
+
+// 批量更新多个仓库，最多 SYNC_CONCURRENCY 个同时进行，返回同步失败的仓库名列表
+// 跳过同步过程中已被删除的仓库，非强制同步时跳过已停用的仓库
+async function runSync(repos, force) {
+    const queue = [...repos];
+    const failed = [];
+    async function worker() {
+        while (queue.length > 0) {
+            const repo = queue.shift();
+            if (!getRepositories().some(r => r.name === repo.name)) continue;
+            if (!force && isDisabled(repoCache[repo.name])) continue;
+            if (await updateRepo(repo.name, repo.options, force) === false) {
+                failed.push(repo.name);
+            }
+            await new Promise(resolve => setTimeout(resolve, REQUEST_INTERVAL));
+        }
+    }
+
+    await Promise.all(Array.from({ length: SYNC_CONCURRENCY }, worker));
+    return failed;
+}
+
+// 一轮全量同步，返回同步失败的仓库名列表；已有一轮在进行时直接返回 false
+// 结束时如有排队的定时同步，接着执行
+async function syncRepos(repos, force = false) {
+    if (scheduler.running) return false;
+    scheduler.running = true;
+
+    try {
+        return await runSync(repos, force);
+    } finally {
+        scheduler.running = false;
+        scheduler.lastRun = Date.now();
+        if (scheduler.queued) {
+            scheduler.queued = false;
+            setImmediate(runScheduledSync);
+        }
+    }
+}
+
+// 定时更新未单独设置同步间隔的仓库；已有一轮在进行时排队（多次排队只执行一次）
+async function runScheduledSync() {
+    if (scheduler.running) {
+        scheduler.queued = true;
+        console.log('上一轮同步尚未结束，结束后再执行本次定时更新');
+        return;
+    }
+    console.log('开始执行定时更新...');
+    checkRepositories();
+    await syncRepos(getSortedRepos().filter(repo => !repo.interval));
+}
+
 // 定时批量更新
 function scheduleUpdates() {
-    cron.schedule('0 3 * * *', async () => {
-        console.log('开始执行定时更新...');
-        const repos = getSortedRepos();
-        
-        for (const repo of repos) {
-            await updateRepo(repo.name);
-            await new Promise(resolve => setTimeout(resolve, REQUEST_INTERVAL));
+    cron.schedule(SYNC_CRON, runScheduledSync);
+
+    // 每 5 分钟检查设置了 interval 的仓库是否到期，不占用全量同步的锁（两者同步的仓库不重叠，
+    // 同一仓库也不会同时同步）；上一次检查未结束时跳过，到期的仓库留到下次检查
+    cron.schedule('*/5 * * * *', async () => {
+        if (scheduler.intervalRunning) return;
+        scheduler.intervalRunning = true;
+        try {
+            await runSync(getSortedRepos().filter(repo => repo.interval && isDueForSync(repo)), false);
+        } finally {
+            scheduler.intervalRunning = false;
+        }
+    });
+}
+
+// 监控指标
+const httpDuration = metrics.createHistogram(
+    'tw_mirror_http_request_duration_seconds', 'HTTP 请求耗时（按路由）'
+);
+const downloadCounter = metrics.createCounter(
+    'tw_mirror_downloads_total', '文件下载次数（mode 为 local 表示本地提供，redirect 表示跳转到镜像）'
+);
+
+// 访问限制
+const rateLimiter = createRateLimiter(RATE_LIMIT);
+const downloadSlots = createDownloadSlots({ perIp: MAX_DOWNLOADS_PER_IP, total: MAX_DOWNLOADS });
+const bandwidth = createBandwidthLimiter(DOWNLOAD_BANDWIDTH);
+const limitedCounter = metrics.createCounter(
+    'tw_mirror_rate_limited_total', '因访问限制被拒绝的请求数（reason 为 requests 表示请求过于频繁，downloads 表示同时下载数已满）'
+);
+metrics.createGauge('tw_mirror_active_downloads', '正在由本站提供的下载数',
+    () => [{ value: downloadSlots.active }]);
+
+function perRepo(getValue) {
+    return () => getRepositories().map(({ name }) => ({
+        labels: { repo: name },
+        value: getValue(repoCache[name] || {})
+    }));
+}
+
+metrics.createGauge('tw_mirror_repo_last_success_timestamp_seconds', '仓库最近一次同步成功的时间',
+    perRepo(data => (data.updated_at ? Date.parse(data.updated_at) / 1000 : null)));
+metrics.createGauge('tw_mirror_repo_retry_count', '仓库当前的连续失败次数',
+    perRepo(data => data.retryCount || 0));
+metrics.createGauge('tw_mirror_repo_assets', '仓库最新版本的文件数',
+    perRepo(data => (data.assets || []).length));
+metrics.createGauge('tw_mirror_repo_missing', '仓库或发布版本在上游不存在',
+    perRepo(data => (data.missing ? 1 : 0)));
+metrics.createGauge('tw_mirror_repo_disabled', '仓库连续失败已停用自动同步',
+    perRepo(data => (isDisabled(data) ? 1 : 0)));
+metrics.createCounter('tw_mirror_github_requests_total', 'GitHub API 请求次数',
+    () => [{ value: github.getStats().requests }]);
+metrics.createCounter('tw_mirror_github_not_modified_total', 'GitHub API 返回 304（未消耗限额）的次数',
+    () => [{ value: github.getStats().notModified }]);
+metrics.createCounter('tw_mirror_github_rate_limited_total', 'GitHub API 限额用尽的次数',
+    () => [{ value: github.getStats().rateLimited }]);
+metrics.createGauge('tw_mirror_github_rate_limit_remaining', 'GitHub API 剩余限额',
+    () => [{ value: github.getRateLimit().remaining }]);
+metrics.createGauge('tw_mirror_github_rate_limit_limit', 'GitHub API 限额上限',
+    () => [{ value: github.getRateLimit().limit }]);
+metrics.createGauge('tw_mirror_github_rate_limit_reset_timestamp_seconds', 'GitHub API 限额重置时间',
+    () => [{ value: github.getRateLimit().reset ? github.getRateLimit().reset / 1000 : null }]);
+metrics.createGauge('tw_mirror_scheduler_last_run_timestamp_seconds', '最近一轮全量同步完成的时间',
+    () => [{ value: scheduler.lastRun ? scheduler.lastRun / 1000 : null }]);
+metrics.createGauge('tw_mirror_scheduler_running', '是否有一轮同步正在进行',
+    () => [{ value: scheduler.running ? 1 : 0 }]);
+
+// 健康状态：缓存长时间未更新或调度长时间未运行时为 degraded
+function getHealth() {
+    const now = Date.now();
+    const repos = getRepositories();
+    const syncTimes = repos.map(({ name }) => Date.parse(repoCache[name]?.updated_at) || 0);
+    const lastSync = Math.max(0, ...syncTimes);
+    const staleRepos = syncTimes.filter(time => now - time > HEALTH_MAX_AGE).length;
+    const cacheOk = repos.length === 0 || now - lastSync <= HEALTH_MAX_AGE;
+    const schedulerOk = now - (scheduler.lastRun || STARTED_AT) <= HEALTH_MAX_AGE;
+
+    return {
+        status: cacheOk && schedulerOk ? 'ok' : 'degraded',
+        checks: {
+            cache: {
+                status: cacheOk ? 'ok' : 'degraded',
+                last_sync: lastSync ? new Date(lastSync).toISOString() : null,
+                repos: repos.length,
+                stale_repos: staleRepos
+            },
+            scheduler: {
+                status: schedulerOk ? 'ok' : 'degraded',
+                last_run: scheduler.lastRun ? new Date(scheduler.lastRun).toISOString() : null,
+                running: scheduler.running
+            }
+        },
+        max_age_hours: HEALTH_MAX_AGE / 3600000
+    };
+}
+
+// 生成仓库发布版本的订阅条目（链接指向本站的版本页面）
+function getFeedEntries(req, name) {
+    const data = repoCache[name];
+    return getReleases(data).map(release => {
+        const firstSeen = (data.history || []).find(entry => entry.to === release.version);
+        const updated = new Date(release.published_at || firstSeen?.at || data.updated_at || 0).toISOString();
+        const link = absoluteUrl(req, `/${name}/${encodeURIComponent(release.version)}/`);
+        const files = release.assets.map(a => html`
+            <li><a href="${absoluteUrl(req, `/${name}/${encodeURIComponent(release.version)}/${encodeURIComponent(a.name)}`)}">${a.name}</a></li>
+        `);
+
+        return {
+            id: link,
+            title: `${name} ${formatVersion(release.version)}`,
+            link,
+            updated,
+            summary: data.meta?.description || '',
+            content: `${release.notes ? renderMarkdown(release.notes) : ''}${html`<h3>下载</h3><ul>${files}</ul>`}`
+        };
+    });
+}
+
+// JSON API 文档；entry 为仓库列表中的 { name, options }，静态导出时 req 为 null
+function formatAsset(req, entry, release, asset, isLatest) {
+    const path = isLatest
+        ? `/${entry.name}/${encodeURIComponent(asset.name)}`
+        : `/${entry.name}/${encodeURIComponent(release.version)}/${encodeURIComponent(asset.name)}`;
+    return {
+        name: asset.name,
+        ...classifyAsset(asset.name, entry.options),
+        size: asset.size ?? null,
+        sha256: asset.sha256 || null,
+        checksum_source: asset.checksum_source || null,
+        mismatch: !!asset.mismatch,
+        stored: storage.hasBlob(asset.sha256),
+        download_url: absoluteUrl(req, path),
+        upstream_url: asset.download_url
+    };
+}
+
+function formatRelease(req, entry, release, isLatest) {
+    return {
+        version: release.version,
+        published_at: release.published_at || null,
+        prerelease: !!release.prerelease,
+        latest: isLatest,
+        notes: release.notes || '',
+        assets: release.assets.map(a => formatAsset(req, entry, release, a, isLatest))
+    };
+}
+
+function formatRepo(req, { name, options }) {
+    const data = repoCache[name];
+    return {
+        name,
+        url: absoluteUrl(req, `/${name}/`),
+        version: data?.version || null,
+        updated_at: data?.updated_at || null,
+        meta: data?.meta || null,
+        source: getSource(name, data),
+        options,
+        sync: {
+            status: getSyncStatus(data),
+            retry_count: data?.retryCount || 0,
+            next_retry: data?.nextRetry ? new Date(data.nextRetry).toISOString() : null,
+            last_error: data?.last_error || null
+        }
+    };
+}
+
+// 所有仓库最近的同步记录（新的在前），返回 [{ repo, entry }]
+function getRecentUpdates() {
+    return getRepositories()
+        .flatMap(({ name }) => (repoCache[name]?.history || []).map(entry => ({ repo: name, entry })))
+        .sort((a, b) => new Date(b.entry.at) - new Date(a.entry.at))
+        .slice(0, 100);
+}
+
+// 全站订阅源
+function renderSiteFeed(req) {
+    const entries = getRepositories()
+        .flatMap(({ name }) => getFeedEntries(req, name))
+        .sort((a, b) => b.updated.localeCompare(a.updated))
+        .slice(0, 50);
+
+    return renderAtomFeed({
+        id: absoluteUrl(req, '/'),
+        title: 'TWOSI 开源镜像站',
+        subtitle: '镜像仓库的新版本',
+        link: absoluteUrl(req, '/'),
+        selfLink: absoluteUrl(req, '/feed.xml'),
+        entries
+    });
+}
+
+// 单个仓库订阅源
+function renderRepoFeed(req, repo) {
+    return renderAtomFeed({
+        id: absoluteUrl(req, `/${repo}/`),
+        title: `${repo} - TWOSI`,
+        subtitle: repoCache[repo].meta?.description || '',
+        link: absoluteUrl(req, `/${repo}/`),
+        selfLink: absoluteUrl(req, `/${repo}/feed.xml`),
+        entries: getFeedEntries(req, repo).sort((a, b) => b.updated.localeCompare(a.updated))
+    });
+}
+
+// 首页数据
+function getHomePageData() {
+    const downloadTotals = downloads.getRepoTotals(POPULAR_DAYS);
+    return {
+        repoCount: Object.keys(repoCache).length,
+        popularDays: POPULAR_DAYS,
+        repos: getRepositories().map(({ name }) => {
+            const data = repoCache[name] || {};
+            return {
+                name,
+                host: getSource(name, data).host,
+                version: data.version,
+                description: data.meta?.description,
+                stars: data.meta?.stars,
+                language: data.meta?.language,
+                updated_at: data.updated_at,
+                downloads: downloadTotals[name] || 0,
+                disabled: isDisabled(data),
+                retryCount: data.retryCount
+            };
+        })
+    };
+}
+
+// 仓库详情页数据（release 为当前查看的发布版本，device 为访问者设备，用于推荐下载）
+function getRepoPageData(repo, release, device) {
+    const data = repoCache[repo];
+    const options = getRepositories().find(r => r.name === repo)?.options || {};
+    const items = release.assets.map(asset => ({ asset, classification: classifyAsset(asset.name, options) }));
+    const recommended = recommendAsset(items.filter(({ asset }) => asset.download_url), device);
+
+    return {
+        repo,
+        release: {
+            ...release,
+            assets: items.map(({ asset, classification }) => ({
+                ...asset,
+                classification,
+                stored: storage.hasBlob(asset.sha256)
+            }))
+        },
+        device,
+        recommended: recommended?.asset.name,
+        releases: getReleases(data),
+        source: getSource(repo, data),
+        history: data.history,
+        updated_at: data.updated_at,
+        disabled: isDisabled(data),
+        retryCount: data.retryCount,
+        lastErrorMessage: data.last_error_message
+    };
+}
+
+// JSON API（/api/v1）
+function createApiRouter() {
+    const api = express.Router();
+
+    // 统一的错误响应
+    function sendError(res, status, code, message, extra = {}) {
+        res.status(status).json({ error: { code, message, ...extra } });
+    }
+
+    // 查找仓库，不存在时返回 404
+    function findRepo(req, res, next) {
+        const name = `${req.params.owner}/${req.params.repo}`;
+        const entry = getRepositories().find(r => r.name === name);
+        if (!entry) {
+            return sendError(res, 404, 'repo_not_found', `仓库 ${name} 不存在`);
+        }
+        req.repo = entry;
+        req.releases = getReleases(repoCache[name]);
+        next();
+    }
+
+    // 仓库列表
+    api.get('/repos', (req, res) => {
+        res.json({
+            repos: getRepositories().map(entry => formatRepo(req, entry))
+        });
+    });
+
+    // 单个仓库（含全部发布版本）
+    api.get('/repos/:owner/:repo', findRepo, (req, res) => {
+        res.json({
+            ...formatRepo(req, req.repo),
+            releases: req.releases.map((r, i) => formatRelease(req, req.repo, r, i === 0)),
+            history: repoCache[req.repo.name]?.history || []
+        });
+    });
+
+    // 最近更新（所有仓库的同步记录，新的在前）
+    api.get('/updates', (req, res) => {
+        res.json({
+            updates: getRecentUpdates().map(({ repo, entry }) => ({ repo, ...entry }))
+        });
+    });
+
+    // 发布版本列表
+    api.get('/repos/:owner/:repo/releases', findRepo, (req, res) => {
+        res.json({
+            releases: req.releases.map((r, i) => formatRelease(req, req.repo, r, i === 0))
+        });
+    });
+
+    // 指定发布版本
+    api.get('/repos/:owner/:repo/releases/:tag', findRepo, (req, res) => {
+        const index = req.releases.findIndex(r => r.version === req.params.tag);
+        if (index === -1) {
+            return sendError(res, 404, 'release_not_found', `版本 ${req.params.tag} 不存在`);
+        }
+        res.json(formatRelease(req, req.repo, req.releases[index], index === 0));
+    });
+
+    // 在最新版本中查找匹配的资源：?pattern=*.apk&platform=android&arch=arm64
+    // pattern 支持仓库别名、平台别名和 glob
+    api.get('/repos/:owner/:repo/latest', findRepo, (req, res) => {
+        const { pattern, platform, arch } = req.query;
+        // 重复的参数会被解析为数组
+        for (const [name, value] of Object.entries({ pattern, platform, arch })) {
+            if (value !== undefined && typeof value !== 'string') {
+                return sendError(res, 400, `invalid_${name}`, `参数 ${name} 只能出现一次`);
+            }
+        }
+        if (pattern && isRegExpPattern(pattern)) {
+            return sendError(res, 400, 'invalid_pattern', '不支持 re: 正则，请使用 glob 模式或仓库别名');
+        }
+        if (platform && !PLATFORMS.includes(platform)) {
+            return sendError(res, 400, 'invalid_platform', `不支持的平台 ${platform}`, { platforms: PLATFORMS });
+        }
+        if (arch && !ARCHES.includes(arch)) {
+            return sendError(res, 400, 'invalid_arch', `不支持的架构 ${arch}`, { arches: ARCHES });
+        }
+
+        const [latest] = req.releases;
+        if (!latest) {
+            return sendError(res, 404, 'release_not_found', `仓库 ${req.repo.name} 尚未同步`);
+        }
+
+        const matches = (pattern ? findAssets(latest.assets, pattern, req.repo.options) : latest.assets)
+            .filter(a => matchesPlatform(classifyAsset(a.name, req.repo.options), platform, arch));
+        if (matches.length === 0) {
+            return sendError(res, 404, 'asset_not_found', '没有匹配的资源');
+        }
+        if (matches.length > 1) {
+            return sendError(res, 409, 'ambiguous_asset', `匹配到 ${matches.length} 个资源，请缩小条件`, {
+                candidates: matches.map(a => a.name)
+            });
+        }
+
+        res.json({
+            version: latest.version,
+            asset: formatAsset(req, req.repo, latest, matches[0], true)
+        });
+    });
+
+    // 未知的 API 路径
+    api.use((req, res) => {
+        sendError(res, 404, 'not_found', `接口 ${req.method} ${req.originalUrl} 不存在`);
+    });
+
+    return api;
+}
+
+// 管理后台（/admin），未配置 ADMIN_TOKEN 或 ADMIN_PASSWORD 时不启用
+function createAdminRouter() {
+    const admin = express.Router();
+
+    // 常量时间比较，避免通过响应时间猜测令牌
+    function safeEqual(a, b) {
+        const bufA = Buffer.from(a);
+        const bufB = Buffer.from(b);
+        return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+    }
+
+    // 校验 Bearer 令牌或 Basic 认证（Basic 的密码也可以使用 ADMIN_TOKEN）
+    function isAuthorized(req) {
+        const [scheme, credentials = ''] = (req.get('Authorization') || '').split(' ');
+        if (scheme === 'Bearer') {
+            return !!ADMIN_TOKEN && safeEqual(credentials, ADMIN_TOKEN);
+        }
+        if (scheme === 'Basic') {
+            const decoded = Buffer.from(credentials, 'base64').toString();
+            const index = decoded.indexOf(':');
+            if (index === -1) return false;
+            const user = decoded.slice(0, index);
+            const password = decoded.slice(index + 1);
+            return (!!ADMIN_TOKEN && safeEqual(password, ADMIN_TOKEN)) ||
+                (!!ADMIN_PASSWORD && safeEqual(user, ADMIN_USER) && safeEqual(password, ADMIN_PASSWORD));
+        }
+        return false;
+    }
+
+    function originHost(origin) {
+        try {
+            return new URL(origin).host;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    admin.use((req, res, next) => {
+        if (!ADMIN_TOKEN && !ADMIN_PASSWORD) {
+            return res.status(404).redirect('/404');
+        }
+        if (!isAuthorized(req)) {
+            res.set('WWW-Authenticate', 'Basic realm="TWOSI Admin", charset="UTF-8"');
+            return res.status(401).send(res.locals.i18n.t('admin.authRequired'));
+        }
+        // 拒绝跨站提交的表单
+        const origin = req.get('Origin');
+        if (req.method === 'POST' && origin && originHost(origin) !== req.get('host')) {
+            return res.status(403).send(res.locals.i18n.t('admin.crossSite'));
+        }
+        next();
+    });
+    admin.use(express.urlencoded({ extended: false }));
+    admin.use(express.json());
+
+    // 操作完成后的响应：脚本调用返回 JSON，表单提交跳回管理页
+    function respond(req, res, status, key, params) {
+        const message = res.locals.i18n.t(key, params);
+        if (req.accepts(['html', 'json']) === 'json') {
+            return res.status(status).json(status < 400 ? { message } : { error: { message } });
+        }
+        res.redirect(303, `/admin?msg=${encodeURIComponent(message)}`);
+    }
+
+    // 查找仓库列表中的仓库
+    function findEntry(req) {
+        const name = `${req.params.owner}/${req.params.repo}`;
+        return getRepositories().find(r => r.name === name);
+    }
+
+    // 管理页面
+    admin.get('/', (req, res) => {
+        res.send(views.renderAdmin({
+            i18n: res.locals.i18n,
+            repos: getRepositories().map(({ name }) => {
+                const data = repoCache[name];
+                return {
+                    name,
+                    version: data?.version,
+                    status: getSyncStatus(data),
+                    retryCount: data?.retryCount || 0,
+                    nextRetry: data?.nextRetry || 0,
+                    lastError: data?.last_error,
+                    lastErrorMessage: data?.last_error_message
+                };
+            }),
+            deliveries: webhooks.getDeliveries(),
+            running: scheduler.running,
+            message: req.query.msg
+        }));
+    });
+
+    // 添加仓库（写回仓库列表后立即同步）
+    admin.post('/repos', (req, res) => {
+        const line = String(req.body.line || '').trim();
+        if (!line) {
+            return respond(req, res, 400, 'admin.msg.addFailed', { error: res.locals.i18n.t('admin.msg.empty') });
+        }
+
+        let entry;
+        try {
+            entry = addRepository(line);
+        } catch (err) {
+            return respond(req, res, 400, 'admin.msg.addFailed', { error: err.message });
+        }
+        console.log(`[${entry.name}] 已通过管理后台添加`);
+        updateRepo(entry.name, entry.options, true);
+        respond(req, res, 201, 'admin.msg.added', { repo: entry.name });
+    });
+
+    // 删除仓库（同时移除缓存）
+    admin.post('/repos/:owner/:repo/delete', (req, res) => {
+        const entry = findEntry(req);
+        if (!entry) {
+            return respond(req, res, 404, 'admin.msg.notFound');
+        }
+
+        removeRepository(entry.name);
+        console.log(`[${entry.name}] 已通过管理后台删除`);
+        respond(req, res, 200, 'admin.msg.deleted', { repo: entry.name });
+    });
+
+    // 立即同步单个仓库（忽略冷却期）
+    admin.post('/repos/:owner/:repo/sync', (req, res) => {
+        const entry = findEntry(req);
+        if (!entry) {
+            return respond(req, res, 404, 'admin.msg.notFound');
+        }
+
+        updateRepo(entry.name, entry.options, true);
+        respond(req, res, 202, 'admin.msg.syncing', { repo: entry.name });
+    });
+
+    // 清除重试计数和冷却期（同时重新启用已停用的仓库）
+    admin.post('/repos/:owner/:repo/reset', (req, res) => {
+        const entry = findEntry(req);
+        if (!entry) {
+            return respond(req, res, 404, 'admin.msg.notFound');
         }
+
+        if (repoCache[entry.name]) {
+            repoCache[entry.name].retryCount = 0;
+            repoCache[entry.name].nextRetry = 0;
+            saveCache();
+        }
+        respond(req, res, 200, 'admin.msg.reset', { repo: entry.name });
+    });
+
+    // 立即同步全部仓库（包括已停用的仓库）
+    admin.post('/sync', (req, res) => {
+        if (scheduler.running) {
+            return respond(req, res, 409, 'admin.msg.busy');
+        }
+        syncRepos(getSortedRepos(), true);
+        respond(req, res, 202, 'admin.msg.syncingAll');
     });
+
+    return admin;
 }
 
 // 启动Web服务
 function startServer() {
     const app = express();
+    // 位于反向代理之后时按 X-Forwarded-For 识别访问者 IP
+    if (TRUST_PROXY) {
+        let trust = TRUST_PROXY;
+        if (trust === 'true') trust = true;
+        else if (/^\d+$/.test(trust)) trust = Number(trust);
+        app.set('trust proxy', trust);
+    }
+
+    // 记录请求耗时，路由按匹配到的模板归类，未匹配的（静态文件等）归为 other
+    app.use((req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            httpDuration.observe({
+                method: req.method,
+                route: req.route ? `${req.baseUrl}${req.route.path}` : 'other',
+                status: res.statusCode
+            }, Number(process.hrtime.bigint() - start) / 1e9);
+        });
+        next();
+    });
+
+    // 访问受限时的提示页面（status 为 429 或 503，seconds 为建议的重试等待）
+    function sendBusy(req, res, status, seconds, key) {
+        i18nMiddleware(req, res, () => {
+            const { i18n } = res.locals;
+            res.set('Retry-After', String(seconds));
+            res.status(status).send(views.renderError({
+                i18n,
+                title: i18n.t('busy.title'),
+                subtitle: i18n.t('busy.subtitle'),
+                message: i18n.t(key, { seconds }),
+                detail: html`<p style="margin-bottom: 1.5rem"><a href="${req.originalUrl}">${i18n.t('busy.retry')}</a></p>`
+            }));
+        });
+    }
+
+    // 按 IP 限制请求频率（健康检查和监控抓取除外）
+    app.use((req, res, next) => {
+        if (UNLIMITED_PATHS.includes(req.path)) return next();
+        const wait = rateLimiter.take(req.ip);
+        if (wait === 0) return next();
+
+        limitedCounter.inc({ reason: 'requests' });
+        if (req.path.startsWith('/api/')) {
+            res.set('Retry-After', String(wait));
+            return res.status(429).json({
+                error: { code: 'rate_limited', message: `请求过于频繁，请在 ${wait} 秒后重试`, retry_after: wait }
+            });
+        }
+        sendBusy(req, res, 429, wait, 'busy.requests');
+    });
+
     app.use(express.static('public'));
-    
-    // 公共样式和脚本
-    const commonStyles = `
-        <style>
-            :root {
-                --primary: #6366f1;
-                --primary-hover: #4f46e5;
-                --secondary: #64748b;
-                --bg: #f8fafc;
-                --card-bg: white;
-                --success: #22c55e;
-                --error: #ef4444;
-            }
-            * { box-sizing: border-box; margin: 0; padding: 0 }
-            body {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                line-height: 1.6;
-                background: var(--bg);
-                color: #1e293b;
-            }
-            .container {
-                max-width: 1200px;
-                margin: 0 auto;
-                padding: 2rem 1rem;
-            }
-            .header {
-                background: linear-gradient(135deg, var(--primary), var(--secondary));
-                color: white;
-                padding: 2rem 1rem;
-                margin-bottom: 2rem;
-                box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            }
-            .grid {
-                display: grid;
-                gap: 1.5rem;
-                grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
-            }
-            .card {
-                background: var(--card-bg);
-                border-radius: 0.5rem;
-                padding: 1.5rem;
-                text-decoration: none;
-                box-shadow: 0 2px 4px rgba(0,0,0,0.05);
-                transition: transform 0.2s;
-                word-break: break-word;
-                overflow-wrap: anywhere;
-            }
-            .card:hover {
-                transform: translateY(-2px);
-            }
-            @keyframes spin {
-                to { transform: rotate(360deg); }
-            }
-            .loader {
-                width: 24px;
-                height: 24px;
-                border: 3px solid #e2e8f0;
-                border-top-color: var(--primary);
-                border-radius: 50%;
-                animation: spin 1s linear infinite;
-            }
-            @media (max-width: 640px) {
-                .container { padding: 1rem; }
-                .header { padding: 1.5rem 1rem; }
-            }
-        </style>
-    `;
+    app.use('/api/v1', createApiRouter());
+    // 以下页面按请求选择界面语言
+    app.use(i18nMiddleware);
+    app.use('/admin', createAdminRouter());
 
     // 首页路由
     app.get('/', (req, res) => {
-        const repos = getRepositories().map(repo => ({
-            name: repo,
-            ...(repoCache[repo] || {})
+        res.send(views.renderHome({ i18n: res.locals.i18n, ...getHomePageData() }));
+    });
+
+    // 仓库详情页（release 为当前查看的发布版本）
+    // 按访问者的设备推荐下载文件，因此请求 Client Hints 并按相关请求头缓存
+    function sendRepoPage(req, res, repo, release) {
+        res.set('Accept-CH', 'Sec-CH-UA-Platform, Sec-CH-UA-Arch, Sec-CH-UA-Bitness');
+        res.vary('User-Agent');
+        res.vary('Sec-CH-UA-Platform');
+        res.vary('Sec-CH-UA-Arch');
+        res.vary('Sec-CH-UA-Bitness');
+        res.send(views.renderRepo({
+            i18n: res.locals.i18n,
+            ...getRepoPageData(repo, release, detectDevice(req.headers))
         }));
+    }
+
+    // 是否计入下载次数：HEAD 请求和续传、分段下载的后续 Range 请求不计，只计从头开始的 GET
+    function isNewDownload(req) {
+        const range = req.get('Range');
+        return req.method === 'GET' && (!range || /^bytes=0-/.test(range.trim()));
+    }
+
+    // 发送资源文件：已存储在本地的直接提供（受同时下载数和带宽限制），否则跳转到镜像地址
+    function sendRepoAsset(req, res, repo, asset) {
+        const local = storage.hasBlob(asset.sha256);
+        if (local) {
+            const releaseSlot = downloadSlots.acquire(req.ip);
+            if (!releaseSlot) {
+                limitedCounter.inc({ reason: 'downloads' });
+                return sendBusy(req, res, 503, DOWNLOAD_RETRY_AFTER, 'busy.downloads');
+            }
+            res.once('close', releaseSlot);
+        }
+
+        if (isNewDownload(req)) {
+            downloadCounter.inc({ repo, asset: asset.name, mode: local ? 'local' : 'redirect' });
+            downloads.recordDownload(repo, asset.name);
+        }
+        if (local) {
+            bandwidth.throttle(res);
+            return storage.sendAsset(res, asset, err => {
+                if (err && !res.headersSent) {
+                    res.redirect(mirrorUrl(asset.download_url));
+                }
+            });
+        }
+
+        res.redirect(mirrorUrl(asset.download_url));
+    }
+
+    // Prometheus 指标
+    app.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.renderMetrics());
+    });
+
+    // 存活检查：服务能响应即返回 200，正文中附带健康状态
+    app.get('/healthz', (req, res) => {
+        res.json(getHealth());
+    });
+
+    // 就绪检查：状态为 degraded 时返回 503
+    app.get('/readyz', (req, res) => {
+        const health = getHealth();
+        res.status(health.status === 'ok' ? 200 : 503).json(health);
+    });
+
+    // 全站订阅源
+    app.get('/feed.xml', (req, res) => {
+        res.type('application/atom+xml').send(renderSiteFeed(req));
+    });
+
+    // 单个仓库订阅源
+    app.get('/:owner/:repo/feed.xml', (req, res) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        if (!repoCache[repo]?.version) {
+            return res.status(404).redirect('/404');
+        }
+
+        res.type('application/atom+xml').send(renderRepoFeed(req, repo));
+    });
+
+    // 最近更新时间线
+    app.get('/updates', (req, res) => {
+        res.send(views.renderUpdates({ i18n: res.locals.i18n, entries: getRecentUpdates() }));
+    });
+
+    // 下载统计页（?repo= 查看单个仓库，?days= 选择时间范围）
+    app.get('/stats', (req, res) => {
+        const ranges = [7, 30, 90, 365].filter(n => n <= DOWNLOAD_STATS_DAYS);
+        const days = ranges.includes(parseInt(req.query.days, 10)) ? parseInt(req.query.days, 10) : 30;
+        const repo = getRepositories().some(r => r.name === req.query.repo) ? req.query.repo : null;
+        const totals = repo ? {} : downloads.getRepoTotals(days);
 
-        const html = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1">
-                <title>TWOSI 开源镜像站</title>
-                ${commonStyles}
-                <script>
-                    document.addEventListener('DOMContentLoaded', () => {
-                        const search = document.getElementById('search');
-                        const sort = document.getElementById('sort');
-                        const grid = document.querySelector('.grid');
-                        let originalCards = Array.from(grid.children);
-
-                        function updateView() {
-                            const searchTerm = search.value.toLowerCase();
-                            const sortKey = sort.value;
-                            
-                            const filtered = originalCards.filter(card => {
-                                const title = card.dataset.name.toLowerCase();
-                                const desc = card.dataset.desc?.toLowerCase() || '';
-                                return title.includes(searchTerm) || desc.includes(searchTerm);
-                            });
-                            
-                            const sorted = filtered.sort((a, b) => {
-                                if (sortKey === 'stars') {
-                                    return (b.dataset.stars || 0) - (a.dataset.stars || 0);
-                                }
-                                return new Date(b.dataset.updated) - new Date(a.dataset.updated);
-                            });
-                            
-                            grid.innerHTML = '';
-                            sorted.forEach(card => grid.appendChild(card.cloneNode(true)));
-                        }
-
-                        search.addEventListener('input', updateView);
-                        sort.addEventListener('change', updateView);
-                    });
-                </script>
-            </head>
-            <body>
-                <div class="header">
-                    <div class="container">
-                        <h1>TWOSI 开源镜像站</h1>
-                        <p>天外软件镜像服务 · ${Object.keys(repoCache).length}个仓库镜像中</p>
-                        <div style="margin-top: 1.5rem; display: flex; gap: 1rem; flex-wrap: wrap;">
-                            <input 
-                                type="text" 
-                                id="search" 
-                                placeholder="搜索仓库..." 
-                                style="
-                                    padding: 0.75rem;
-                                    border: 1px solid #e2e8f0;
-                                    border-radius: 0.5rem;
-                                    flex: 1;
-                                    min-width: 300px;
-                                ">
-                            <select
-                                id="sort"
-                                style="
-                                    padding: 0.75rem;
-                                    border: 1px solid #e2e8f0;
-                                    border-radius: 0.5rem;
-                                    background: white;
-                                ">
-                                <option value="updated">最近更新</option>
-                                <option value="stars">最多收藏</option>
-                            </select>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="container">
-                    <div class="grid">
-                        ${repos.map(repo => `
-                            <a 
-                                href="/${repo.name}/" 
-                                class="card"
-                                data-name="${repo.name}"
-                                data-desc="${repo.meta?.description || ''}"
-                                data-stars="${repo.meta?.stars || 0}"
-                                data-updated="${repo.updated_at || ''}"
-                            >
-                                <div style="display: flex; gap: 1rem; align-items: start;">
-                                    <div style="flex: 1">
-                                        <h3 style="color: var(--primary)">
-                                            ${repo.name.split('/')[1]}
-                                        </h3>
-                                        <p style="color: #64748b; margin: 0.5rem 0">
-                                            ${repo.name}
-                                        </p>
-                                        ${repo.meta?.description ? `
-                                            <p style="
-                                                color: var(--secondary);
-                                                margin: 0.5rem 0;
-                                                font-size: 0.9em;
-                                            ">${repo.meta.description}</p>
-                                        ` : ''}
-                                        
-                                        <div style="margin-top: 1rem; display: flex; gap: 0.5rem; flex-wrap: wrap;">
-                                            ${repo.version ? `
-                                                <div style="
-                                                    display: inline-flex;
-                                                    align-items: center;
-                                                    gap: 0.25rem;
-                                                    padding: 0.25rem 0.75rem;
-                                                    background: #e0f2fe;
-                                                    border-radius: 0.375rem;
-                                                    color: #0369a1;
-                                                    font-size: 0.875rem;
-                                                ">
-                                                    ${repo.version.startsWith('v') ? repo.version : 'v' + repo.version}
-                                                </div>
-                                            ` : `
-                                                <div style="
-                                                    display: inline-flex;
-                                                    align-items: center;
-                                                    gap: 0.25rem;
-                                                    padding: 0.25rem 0.75rem;
-                                                    background: #fee2e2;
-                                                    color: #dc2626;
-                                                    border-radius: 0.375rem;
-                                                    font-size: 0.875rem;
-                                                ">
-                                                    同步失败
-                                                </div>
-                                            `}
-                                            
-                                            ${repo.meta?.stars ? `
-                                                <div style="
-                                                    display: inline-flex;
-                                                    align-items: center;
-                                                    gap: 0.25rem;
-                                                    padding: 0.25rem 0.75rem;
-                                                    background: #f1f5f9;
-                                                    border-radius: 0.375rem;
-                                                    font-size: 0.875rem;
-                                                ">
-                                                    ★ ${repo.meta.stars.toLocaleString()}
-                                                </div>
-                                            ` : ''}
-                                        </div>
-                                    </div>
-                                    
-                                    ${repo.meta?.language ? `
-                                        <div style="
-                                            padding: 0.25rem 0.75rem;
-                                            background: #f1f5f9;
-                                            border-radius: 0.375rem;
-                                            font-size: 0.875rem;
-                                        ">${repo.meta.language}</div>
-                                    ` : ''}
-                                </div>
-                                
-                                <div style="margin-top: 1rem; color: var(--secondary); font-size: 0.875rem">
-                                    最后同步：${repo.updated_at ? new Date(repo.updated_at).toLocaleDateString() : '从未同步'}
-                                </div>
-                            </a>
-                        `).join('')}
-                    </div>
-                </div>
-            </body>
-            </html>
-        `;
-        res.send(html);
+        res.send(views.renderStats({
+            i18n: res.locals.i18n,
+            days,
+            ranges,
+            repo,
+            daily: downloads.getDailyDownloads(days, repo),
+            assets: repo ? downloads.getAssetTotals(repo, days) : [],
+            repos: getRepositories()
+                .map(({ name }) => ({ name, count: totals[name] || 0 }))
+                .sort((a, b) => b.count - a.count)
+        }));
     });
 
     // 仓库详情页
@@ -426,109 +1303,137 @@ function startServer() {
             return res.status(404).redirect('/404');
         }
 
-        const versionDisplay = data.version 
-            ? (data.version.startsWith('v') ? data.version : `v${data.version}`)
-            : '版本信息不可用';
-
-        const assetItems = (data.assets || [])
-            .map(asset => `
-                <div class="card">
-                    <div style="display: flex; justify-content: space-between; align-items: center">
-                        <div>
-                            <h3 style="margin-bottom: 0.25rem">${asset.name || '未命名文件'}</h3>
-                            <small>${data.updated_at ? new Date(data.updated_at).toLocaleString() : '未知时间'} 同步</small>
-                        </div>
-                        ${asset.download_url ? `
-                        <a href="/${repo}/${asset.name}" 
-                           style="padding: 0.5rem 1rem; background: var(--primary); color: white; border-radius: 0.375rem; text-decoration: none;"
-                           download>
-                            ↓
-                        </a>
-                        ` : '<span style="color: var(--error)">无效链接</span>'}
-                    </div>
-                </div>
-            `).join('');
-
-        res.send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1">
-                <title>${repo} - TWOSI</title>
-                ${commonStyles}
-            </head>
-            <body>
-                <div class="header">
-                    <div class="container">
-                        <a href="/" style="color: white; text-decoration: none; display: inline-block; margin-bottom: 1rem">
-                            ← 返回首页
-                        </a>
-                        <h1>${repo.split('/')[1]}</h1>
-                        <p>${repo} @ ${versionDisplay}</p>
-                    </div>
-                </div>
-
-                <div class="container">
-                    <div class="card">
-                        <h2 style="margin-bottom: 1rem">可用下载</h2>
-                        <div class="grid">
-                            ${assetItems}
-                        </div>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `);
+        sendRepoPage(req, res, repo, getReleases(data)[0]);
+    });
+
+    // 校验文件：/:owner/:repo/SHA256SUMS 和 /:owner/:repo/:tag/SHA256SUMS
+    // 版本中有同名的上游文件时提供该文件（与上游的签名文件保持一致），否则按已知的摘要生成
+    function sendChecksums(req, res, repo, release) {
+        if (!release) {
+            return res.status(404).redirect('/404');
+        }
+        const asset = release.assets.find(a => a.name === checksums.CHECKSUMS_FILE);
+        if (asset) {
+            return sendRepoAsset(req, res, repo, asset);
+        }
+        res.type('text/plain').send(checksums.formatChecksums(release.assets));
+    }
+
+    app.get('/:owner/:repo/SHA256SUMS', (req, res) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        sendChecksums(req, res, repo, getReleases(repoCache[repo])[0]);
+    });
+
+    app.get('/:owner/:repo/:tag/SHA256SUMS', (req, res) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        sendChecksums(req, res, repo, getReleases(repoCache[repo]).find(r => r.version === req.params.tag));
     });
 
-    // 文件代理下载
-    app.get('/:owner/:repo/:filename', (req, res) => {
+    // 文件代理下载（最新版本）
+    app.get('/:owner/:repo/:filename', (req, res, next) => {
         const repo = `${req.params.owner}/${req.params.repo}`;
         const filename = req.params.filename;
-        const asset = repoCache[repo]?.assets.find(a => a.name === filename);
+        const asset = repoCache[repo]?.assets?.find(a => a.name === filename);
 
+        // 不是最新版本的文件时，交给历史版本页面处理
         if (!asset) {
+            return next();
+        }
+
+        sendRepoAsset(req, res, repo, asset);
+    });
+
+    // 最新版本下载别名：/:owner/:repo/latest/:pattern
+    // pattern 支持仓库别名（alias.xxx）、平台别名（如 android-arm64）和 glob
+    // 有版本号就是 latest 的发布且其中有同名文件时，交给历史版本文件下载处理
+    app.get('/:owner/:repo/latest/:pattern', (req, res, next) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        const entry = getRepositories().find(r => r.name === repo);
+        const releases = getReleases(repoCache[repo]);
+        const latest = releases[0];
+
+        if (releases.find(r => r.version === 'latest')?.assets.some(a => a.name === req.params.pattern)) {
+            return next();
+        }
+
+        if (!entry || !latest) {
             return res.status(404).redirect('/404');
         }
-        
-        res.redirect(`${MIRROR_BASE}${asset.download_url}`);
+
+        const { i18n } = res.locals;
+        if (isRegExpPattern(req.params.pattern)) {
+            return res.status(400).send(views.renderError({
+                i18n,
+                title: i18n.t('error.invalidPattern'),
+                subtitle: `${repo} @ ${formatVersion(latest.version)}`,
+                message: i18n.t('error.invalidPatternMessage'),
+                detail: html`<p style="margin-bottom: 1.5rem"><a href="/${repo}/">${i18n.t('error.viewAll')}</a></p>`
+            }));
+        }
+
+        const matches = findAssets(latest.assets, req.params.pattern, entry.options);
+        if (matches.length === 1) {
+            return sendRepoAsset(req, res, repo, matches[0]);
+        }
+
+        if (matches.length === 0) {
+            return res.status(404).send(views.renderError({
+                i18n,
+                title: i18n.t('error.noMatch'),
+                subtitle: `${repo} @ ${formatVersion(latest.version)}`,
+                message: i18n.t('error.noMatchMessage', { pattern: req.params.pattern }),
+                detail: html`<p style="margin-bottom: 1.5rem"><a href="/${repo}/">${i18n.t('error.viewAll')}</a></p>`
+            }));
+        }
+
+        res.status(300).send(views.renderError({
+            i18n,
+            title: i18n.t('error.multipleMatches'),
+            subtitle: `${repo} @ ${formatVersion(latest.version)}`,
+            message: i18n.t('error.multipleMatchesMessage', { pattern: req.params.pattern, count: matches.length }),
+            detail: html`
+                <ul style="list-style: none; margin-bottom: 1.5rem">
+                    ${matches.map(a => html`<li><a href="/${repo}/${encodeURIComponent(a.name)}">${a.name}</a></li>`)}
+                </ul>
+            `
+        }));
+    });
+
+    // 历史版本详情页
+    app.get('/:owner/:repo/:tag', (req, res) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        const data = repoCache[repo];
+        const release = getReleases(data).find(r => r.version === req.params.tag);
+
+        if (!release) {
+            return res.status(404).redirect('/404');
+        }
+
+        sendRepoPage(req, res, repo, release);
+    });
+
+    // 文件代理下载（指定版本）
+    app.get('/:owner/:repo/:tag/:filename', (req, res) => {
+        const repo = `${req.params.owner}/${req.params.repo}`;
+        const release = getReleases(repoCache[repo]).find(r => r.version === req.params.tag);
+        const asset = release?.assets.find(a => a.name === req.params.filename);
+
+        if (!asset) {
+            return res.status(404).redirect('/404');
+        }
+
+        sendRepoAsset(req, res, repo, asset);
     });
 
     // 404处理
     app.all('*', (req, res) => {
-        res.status(404).send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1">
-                <title>页面未找到 - TWOSI</title>
-                ${commonStyles}
-            </head>
-            <body>
-                <div class="header">
-                    <div class="container">
-                        <h1>404 - 页面未找到</h1>
-                        <p>请求的资源不存在</p>
-                    </div>
-                </div>
-                <div class="container">
-                    <div class="card" style="text-align: center; padding: 3rem">
-                        <p style="font-size: 1.2rem; margin-bottom: 1.5rem">😢 您访问的页面不存在</p>
-                        <a href="/" style="
-                            padding: 0.75rem 1.5rem;
-                            background: var(--primary);
-                            color: white;
-                            border-radius: 0.5rem;
-                            text-decoration: none;
-                            display: inline-block;
-                        ">返回首页</a>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `);
+        const { i18n } = res.locals;
+        res.status(404).send(views.renderError({
+            i18n,
+            title: i18n.t('error.notFound'),
+            subtitle: i18n.t('error.notFoundSubtitle'),
+            message: i18n.t('error.notFoundMessage')
+        }));
     });
 
     app.listen(PORT, () => {
@@ -536,19 +1441,90 @@ function startServer() {
     });
 }
 
+// 加载仓库列表、通知配置和缓存，有误时输出原因并返回 false（命令行工具也使用）
+function loadState() {
+    // 仓库列表有误时不能继续，避免静默忽略配置
+    if (checkRepositories() > 0) {
+        console.error(`${REPOS_FILE} 存在错误，请修正后重新启动`);
+        return false;
+    }
+
+    // 通知配置有误时同样不能继续
+    const webhookErrors = webhooks.loadWebhooks(WEBHOOKS_FILE, WEBHOOK_LOG);
+    if (webhookErrors.length > 0) {
+        webhookErrors.forEach(message => console.error(message));
+        console.error(`${WEBHOOKS_FILE} 存在错误，请修正后重新启动`);
+        return false;
+    }
+
+    // 缓存损坏时不能继续，避免以空缓存覆盖
+    try {
+        loadCache();
+    } catch (err) {
+        if (!(err instanceof CacheFileError)) throw err;
+        console.error(`缓存加载失败：${err.message}`);
+        console.error(`请修复或删除 ${CACHE_FILE}（删除后将重新同步全部仓库）后重新启动`);
+        return false;
+    }
+    return true;
+}
+
 // 初始化
 async function main() {
-    loadCache();
+    if (!cron.validate(SYNC_CRON)) {
+        console.error(`SYNC_CRON 不是有效的 cron 表达式：${SYNC_CRON}`);
+        process.exit(1);
+    }
+    if (!loadState()) {
+        process.exit(1);
+    }
+    console.log(`已加载 ${Object.keys(repoCache).length} 个仓库的缓存`);
+
+    downloads.loadDownloads(DOWNLOADS_FILE, DOWNLOAD_STATS_DAYS);
+    // 退出前保存尚未写入的下载统计
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            downloads.flushDownloads();
+            process.exit(0);
+        });
+    }
     scheduleUpdates();
     startServer();
     
     // 启动时智能更新
     console.log('执行首次数据同步...');
-    const repos = getSortedRepos();
-    for (const repo of repos) {
-        await updateRepo(repo.name);
-        await new Promise(resolve => setTimeout(resolve, REQUEST_INTERVAL));
-    }
+    await syncRepos(getSortedRepos());
+}
+
+// 直接运行时启动服务，被 cli.js 引用时只导出以下函数
+if (require.main === module) {
+    main();
 }
 
-main();
+module.exports = {
+    CACHE_FILE,
+    REPOS_FILE,
+    PUBLIC_URL,
+    main,
+    loadState,
+    getCache: () => repoCache,
+    saveCache,
+    getRepositories,
+    addRepository,
+    removeRepository,
+    getReleases,
+    findAssets,
+    mirrorUrl,
+    getSyncStatus,
+    getSortedRepos,
+    updateRepo,
+    syncRepos,
+    pruneStorage,
+    getHomePageData,
+    getRepoPageData,
+    getRecentUpdates,
+    renderSiteFeed,
+    renderRepoFeed,
+    formatRepo,
+    formatRelease
+};
@@ -0,0 +1,196 @@
+// 静态站点导出：把首页、仓库页面、JSON API 文档和下载文件写入目录，无需 Node 进程即可由 nginx 等提供服务
+//
+// 已存储在本地的文件直接放入站点（优先硬链接），其他文件生成跳转页面，页面中的下载链接直接指向镜像地址。
+// 站点需部署在域名根路径下；下载统计、按设备推荐和按模式查找资源的接口需要服务端，不会导出
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./lib/storage');
+const checksums = require('./lib/checksums');
+const { createI18n } = require('./lib/i18n');
+const { PLATFORMS, ARCHES } = require('./lib/platform');
+const server = require('./mirror-server');
+const views = require('./views');
+
+const MARKER_FILE = '.tw-mirror-site'; // 标记目录由导出生成，可以整体替换
+const RESERVED_NAMES = ['feed.xml', 'latest', 'index.html']; // 与站点自身文件重名的资源不导出
+// 平台别名，例如 windows、android-arm64
+const PLATFORM_ALIASES = PLATFORMS.flatMap(platform => [platform, ...ARCHES.map(arch => `${platform}-${arch}`)]);
+
+// 文件名或版本号能否直接用作路径的一段
+function isSafeSegment(name) {
+    return !!name && name !== '.' && name !== '..' && !/[/\\\0]/.test(name);
+}
+
+// 输出目录已存在且不是导出生成的站点时拒绝覆盖
+function checkOutputDir(outDir) {
+    if (!fs.existsSync(outDir)) return;
+    if (fs.readdirSync(outDir).length > 0 && !fs.existsSync(path.join(outDir, MARKER_FILE))) {
+        throw new Error(`${outDir} 不是导出生成的站点目录，为避免误删请指定空目录`);
+    }
+}
+
+// 导出站点到 outDir（先写入临时目录，完成后替换），返回 { pages, files, redirects, skipped }
+function exportSite(outDir, { locale } = {}) {
+    checkOutputDir(outDir);
+
+    const tmpDir = `${outDir}.tmp`;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.mkdirSync(tmpDir, { recursive: true });
+
+    const cache = server.getCache();
+    const i18n = { ...createI18n(locale), languages: [] };
+    const feeds = !!server.PUBLIC_URL; // 订阅源需要完整地址
+    const stats = { pages: 0, files: 0, redirects: 0, skipped: 0 };
+
+    function write(file, content) {
+        const target = path.join(tmpDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    }
+
+    function writePage(dir, content) {
+        write(path.join(dir, 'index.html'), content);
+        stats.pages++;
+    }
+
+    function writeJson(dir, document) {
+        write(path.join(dir, 'index.json'), `${JSON.stringify(document, null, 2)}\n`);
+    }
+
+    function writeRedirect(dir, url, name) {
+        write(path.join(dir, 'index.html'), views.renderRedirect({ i18n, url, name }));
+        stats.redirects++;
+    }
+
+    // 本地文件优先硬链接，跨文件系统时复制
+    function linkBlob(file, sha256) {
+        const target = path.join(tmpDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        try {
+            fs.linkSync(storage.blobPath(sha256), target);
+        } catch (err) {
+            fs.copyFileSync(storage.blobPath(sha256), target);
+        }
+        stats.files++;
+    }
+
+    if (fs.existsSync('public')) {
+        fs.cpSync('public', tmpDir, { recursive: true });
+    }
+    write(MARKER_FILE, `${new Date().toISOString()}\n`);
+
+    writePage('', views.renderHome({ i18n, ...server.getHomePageData(), staticSite: true, feeds }));
+    writePage('updates', views.renderUpdates({ i18n, entries: server.getRecentUpdates() }));
+    write('404.html', views.renderError({
+        i18n,
+        title: i18n.t('error.notFound'),
+        subtitle: i18n.t('error.notFoundSubtitle'),
+        message: i18n.t('error.notFoundMessage')
+    }));
+    if (feeds) {
+        write('feed.xml', server.renderSiteFeed(null));
+    }
+
+    const entries = server.getRepositories();
+    writeJson('api/v1/repos', { repos: entries.map(entry => server.formatRepo(null, entry)) });
+    writeJson('api/v1/updates', {
+        updates: server.getRecentUpdates().map(({ repo, entry }) => ({ repo, ...entry }))
+    });
+
+    for (const entry of entries) {
+        const repo = entry.name;
+        const releases = server.getReleases(cache[repo]);
+        const apiDir = `api/v1/repos/${repo}`;
+
+        writeJson(apiDir, {
+            ...server.formatRepo(null, entry),
+            releases: releases.map((r, i) => server.formatRelease(null, entry, r, i === 0)),
+            history: cache[repo]?.history || []
+        });
+        writeJson(`${apiDir}/releases`, {
+            releases: releases.map((r, i) => server.formatRelease(null, entry, r, i === 0))
+        });
+        if (releases.length === 0) continue;
+
+        if (feeds) {
+            write(`${repo}/feed.xml`, server.renderRepoFeed(null, repo));
+        }
+
+        releases.forEach((release, index) => {
+            if (!isSafeSegment(release.version)) {
+                console.warn(`[${repo}] 版本号 ${release.version} 不能用作路径，已跳过`);
+                stats.skipped++;
+                return;
+            }
+
+            const isLatest = index === 0;
+            const dirs = isLatest ? [repo, `${repo}/${release.version}`] : [`${repo}/${release.version}`];
+            const data = server.getRepoPageData(repo, release, {});
+            // 没有存储在本地的文件直接链接到镜像地址，省去一次跳转
+            data.release.assets = data.release.assets.map(asset => (asset.stored || !asset.download_url
+                ? asset
+                : { ...asset, href: server.mirrorUrl(asset.download_url) }));
+
+            writeJson(`${apiDir}/releases/${release.version}`, server.formatRelease(null, entry, release, isLatest));
+            for (const dir of dirs) {
+                writePage(dir, views.renderRepo({ i18n, ...data, staticSite: true, feeds }));
+                // 上游有同名校验文件时导出上游文件
+                if (!release.assets.some(a => a.name === checksums.CHECKSUMS_FILE)) {
+                    write(`${dir}/${checksums.CHECKSUMS_FILE}`, checksums.formatChecksums(release.assets));
+                }
+            }
+
+            for (const asset of release.assets) {
+                if (!asset.download_url) continue;
+                if (!isSafeSegment(asset.name) || RESERVED_NAMES.includes(asset.name)) {
+                    console.warn(`[${repo}] 文件名 ${asset.name} 不能用作路径，已跳过`);
+                    stats.skipped++;
+                    continue;
+                }
+                for (const dir of dirs) {
+                    const file = `${dir}/${asset.name}`;
+                    if (fs.existsSync(path.join(tmpDir, file))) {
+                        console.warn(`[${repo}] ${file} 与版本页面重名，已跳过`);
+                        stats.skipped++;
+                    } else if (storage.hasBlob(asset.sha256)) {
+                        linkBlob(file, asset.sha256);
+                    } else {
+                        writeRedirect(file, server.mirrorUrl(asset.download_url), asset.name);
+                    }
+                }
+            }
+        });
+
+        // 最新版本下载别名：仓库别名和能唯一匹配的平台别名
+        const latest = releases[0];
+        for (const alias of new Set([...Object.keys(entry.options.aliases || {}), ...PLATFORM_ALIASES])) {
+            const [asset, ...others] = server.findAssets(latest.assets, alias, entry.options);
+            if (!asset || others.length > 0 || !asset.download_url || !isSafeSegment(alias)) continue;
+            // 版本号为 latest 的发布中的同名文件优先
+            if (fs.existsSync(path.join(tmpDir, repo, 'latest', alias))) {
+                console.warn(`[${repo}] 下载别名 latest/${alias} 与版本 latest 中的文件重名，已跳过`);
+                stats.skipped++;
+                continue;
+            }
+            const url = storage.hasBlob(asset.sha256)
+                ? `/${repo}/${encodeURIComponent(asset.name)}`
+                : server.mirrorUrl(asset.download_url);
+            writeRedirect(`${repo}/latest/${alias}`, url, asset.name);
+        }
+    }
+
+    // 替换旧站点
+    const oldDir = `${outDir}.old`;
+    fs.rmSync(oldDir, { recursive: true, force: true });
+    if (fs.existsSync(outDir)) {
+        fs.renameSync(outDir, oldDir);
+    }
+    fs.renameSync(tmpDir, outDir);
+    fs.rmSync(oldDir, { recursive: true, force: true });
+    return stats;
+}
+
+module.exports = {
+    exportSite
+};
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findAssets } = require('../mirror-server');
+
+function names(files, pattern, options) {
+    return findAssets(files.map(name => ({ name })), pattern, options).map(a => a.name);
+}
+
+test('平台别名不匹配校验和签名文件', () => {
+    assert.deepStrictEqual(names(['app-android-arm64.apk', 'app-android-arm64.apk.sha256'], 'android-arm64'),
+        ['app-android-arm64.apk']);
+    assert.deepStrictEqual(names(['app-windows-x64.zip', 'app-windows-x64.zip.asc', 'app-windows-x86.zip'], 'windows-x64'),
+        ['app-windows-x64.zip']);
+    assert.deepStrictEqual(names(['app-linux-x64.tar.gz', 'SHA256SUMS', 'checksums-linux.txt'], 'linux'),
+        ['app-linux-x64.tar.gz']);
+});
+
+test('平台别名使用仓库的分类规则', () => {
+    const options = { platforms: { 'linux-x64': ['tool-a.zip'] } };
+    assert.deepStrictEqual(names(['tool-a.zip', 'tool-b.zip'], 'linux-x64', options), ['tool-a.zip']);
+});
+
+test('仓库别名和 glob 按文件名匹配', () => {
+    const files = ['app.apk', 'app.apk.sha256'];
+    assert.deepStrictEqual(names(files, 'all', { aliases: { all: ['app.apk*'] } }), files);
+    assert.deepStrictEqual(names(files, '*.apk'), ['app.apk']);
+});
@@ -0,0 +1,38 @@
+const http = require('http');
+
+// 在随机端口启动本地 HTTP 服务，handler(req, res, body) 中 body 为完整的请求体
+// 返回 { url, requests, close }，requests 按顺序记录收到的请求
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handler(req, res, body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// 返回 JSON 响应；带 etag 时按 If-None-Match 返回 304
+function sendJson(req, res, status, data, etag) {
+    if (etag && req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...(etag ? { ETag: etag } : {}) });
+    res.end(JSON.stringify(data));
+}
+
+module.exports = {
+    startServer,
+    sendJson
+};
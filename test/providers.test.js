@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, sendJson } = require('./helpers');
+
+let upstream;
+// 路径（不含查询参数）-> { status, data, etag }
+const routes = {};
+
+test.before(async () => {
+    upstream = await startServer((req, res) => {
+        const route = routes[new URL(req.url, upstream.url).pathname];
+        if (!route) return sendJson(req, res, 404, { message: 'Not Found' });
+        sendJson(req, res, route.status || 200, route.data, route.etag);
+    });
+    // GitHub 的 API 地址在加载模块时读取
+    process.env.GITHUB_API_URL = `${upstream.url}/`;
+});
+test.after(() => upstream.close());
+
+function provider(name) {
+    return require('../lib/providers').getProvider(name);
+}
+
+// 发往指定路径的请求地址（含查询参数）
+function requestedUrls(pathname) {
+    return upstream.requests.map(r => r.url).filter(url => new URL(url, upstream.url).pathname === pathname);
+}
+
+// 依次检查：首次请求的规范化结果、带 ETag 再次请求时返回 null、仓库不存在时抛出 NotFoundError
+async function checkProvider({ source, path, options, expected, missing }) {
+    const first = await provider(source).fetchRepo(path, options, { etags: {}, limit: 5 });
+    assert.deepStrictEqual(first.meta, expected.meta);
+    assert.deepStrictEqual(first.releases, expected.releases);
+
+    const second = await provider(source).fetchRepo(path, options, { etags: first.etags, limit: 5 });
+    assert.strictEqual(second.meta, null);
+    assert.strictEqual(second.releases, null);
+    assert.deepStrictEqual(second.etags, first.etags);
+
+    const { NotFoundError } = require('../lib/errors');
+    await assert.rejects(provider(source).fetchRepo(missing.path, missing.options, { etags: {}, limit: 5 }), NotFoundError);
+}
+
+test('GitHub', async () => {
+    const digest = 'a'.repeat(64);
+    routes['/repos/owner/app'] = {
+        etag: '"repo-1"',
+        data: { stargazers_count: 12, description: '测试仓库', language: 'Go', pushed_at: '2025-03-01T00:00:00Z' }
+    };
+    routes['/repos/owner/app/releases'] = {
+        etag: '"releases-1"',
+        data: [{
+            tag_name: 'v2.0.0',
+            published_at: '2025-03-01T00:00:00Z',
+            draft: false,
+            prerelease: true,
+            body: null,
+            assets: [
+                { name: 'app.apk', browser_download_url: 'https://github.com/owner/app/releases/download/v2.0.0/app.apk', size: 100, digest: `sha256:${digest}` },
+                { name: 'app.exe', browser_download_url: 'https://github.com/owner/app/releases/download/v2.0.0/app.exe', size: 200 }
+            ]
+        }]
+    };
+
+    await checkProvider({
+        source: 'github',
+        path: 'owner/app',
+        options: {},
+        expected: {
+            meta: { stars: 12, description: '测试仓库', language: 'Go', last_commit: '2025-03-01T00:00:00Z' },
+            releases: [{
+                version: 'v2.0.0',
+                published_at: '2025-03-01T00:00:00Z',
+                draft: false,
+                prerelease: true,
+                notes: '',
+                assets: [
+                    { name: 'app.apk', download_url: 'https://github.com/owner/app/releases/download/v2.0.0/app.apk', size: 100, sha256: digest, checksum_source: 'upstream' },
+                    { name: 'app.exe', download_url: 'https://github.com/owner/app/releases/download/v2.0.0/app.exe', size: 200, sha256: undefined, checksum_source: undefined }
+                ]
+            }]
+        },
+        missing: { path: 'owner/missing', options: {} }
+    });
+    assert.deepStrictEqual(requestedUrls('/repos/owner/app/releases'),
+        ['/repos/owner/app/releases?per_page=5', '/repos/owner/app/releases?per_page=5']);
+});
+
+test('GitLab', async () => {
+    // 项目路径整体编码为一段
+    routes['/api/v4/projects/group%2Fapp'] = {
+        etag: '"repo-1"',
+        data: { star_count: 3, description: null, last_activity_at: '2025-02-01T00:00:00Z' }
+    };
+    routes['/api/v4/projects/group%2Fapp/releases/v1.0'] = {
+        etag: '"release-1"',
+        data: {
+            tag_name: 'v1.0',
+            released_at: '2025-02-01T00:00:00Z',
+            upcoming_release: false,
+            description: '## 更新',
+            assets: {
+                sources: [{ format: 'zip', url: 'https://gitlab.example/group/app/-/archive/v1.0/app-v1.0.zip' }],
+                links: [
+                    { name: 'app.dmg', url: 'https://gitlab.example/uploads/app.dmg', direct_asset_url: 'https://gitlab.example/group/app/-/releases/v1.0/downloads/app.dmg' },
+                    { name: 'app.deb', url: 'https://gitlab.example/uploads/app.deb' }
+                ]
+            }
+        }
+    };
+
+    await checkProvider({
+        source: 'gitlab',
+        path: 'group/app',
+        options: { host: `${upstream.url}/`, tag: 'v1.0' },
+        expected: {
+            meta: { stars: 3, description: null, language: null, last_commit: '2025-02-01T00:00:00Z' },
+            releases: [{
+                version: 'v1.0',
+                published_at: '2025-02-01T00:00:00Z',
+                draft: false,
+                prerelease: false,
+                notes: '## 更新',
+                assets: [
+                    { name: 'app.dmg', download_url: 'https://gitlab.example/group/app/-/releases/v1.0/downloads/app.dmg' },
+                    { name: 'app.deb', download_url: 'https://gitlab.example/uploads/app.deb' }
+                ]
+            }]
+        },
+        missing: { path: 'group/missing', options: { host: upstream.url } }
+    });
+});
+
+test('Gitea', async () => {
+    routes['/api/v1/repos/owner/tool'] = {
+        etag: '"repo-1"',
+        data: { stars_count: 7, description: '工具', language: '', updated_at: '2025-01-05T00:00:00Z' }
+    };
+    routes['/api/v1/repos/owner/tool/releases'] = {
+        etag: '"releases-1"',
+        data: [{
+            tag_name: '1.2.0',
+            published_at: '2025-01-05T00:00:00Z',
+            draft: false,
+            prerelease: false,
+            body: '修复问题',
+            assets: [{ name: 'tool-linux-amd64', browser_download_url: 'https://gitea.example/owner/tool/releases/download/1.2.0/tool-linux-amd64', size: 300 }]
+        }]
+    };
+
+    await checkProvider({
+        source: 'gitea',
+        path: 'owner/tool',
+        options: { host: upstream.url },
+        expected: {
+            meta: { stars: 7, description: '工具', language: null, last_commit: '2025-01-05T00:00:00Z' },
+            releases: [{
+                version: '1.2.0',
+                published_at: '2025-01-05T00:00:00Z',
+                draft: false,
+                prerelease: false,
+                notes: '修复问题',
+                assets: [{ name: 'tool-linux-amd64', download_url: 'https://gitea.example/owner/tool/releases/download/1.2.0/tool-linux-amd64', size: 300 }]
+            }]
+        },
+        missing: { path: 'owner/missing', options: { host: upstream.url } }
+    });
+    assert.deepStrictEqual(requestedUrls('/api/v1/repos/owner/tool/releases'),
+        ['/api/v1/repos/owner/tool/releases?limit=5', '/api/v1/repos/owner/tool/releases?limit=5']);
+});
+
+test('静态清单', async () => {
+    routes['/manifest.json'] = {
+        etag: '"manifest-1"',
+        data: {
+            description: '清单',
+            version: 3,
+            notes: '单个版本',
+            assets: [
+                { url: 'https://files.example/dl/app%20setup.exe', size: 400 },
+                { name: 'app.zip', url: 'https://files.example/dl/app.zip' }
+            ]
+        }
+    };
+
+    await checkProvider({
+        source: 'manifest',
+        path: 'local/app',
+        options: { url: `${upstream.url}/manifest.json` },
+        expected: {
+            meta: { stars: null, description: '清单', language: null, last_commit: null },
+            releases: [{
+                version: '3',
+                published_at: null,
+                draft: false,
+                prerelease: false,
+                notes: '单个版本',
+                assets: [
+                    { name: 'app setup.exe', download_url: 'https://files.example/dl/app%20setup.exe', size: 400 },
+                    { name: 'app.zip', download_url: 'https://files.example/dl/app.zip', size: undefined }
+                ]
+            }]
+        },
+        missing: { path: 'local/app', options: { url: `${upstream.url}/missing.json` } }
+    });
+});
+
+test('清单中没有发布版本时抛出 NotFoundError', async () => {
+    const { NotFoundError } = require('../lib/errors');
+    routes['/empty.json'] = { data: { description: '空清单', releases: [] } };
+    await assert.rejects(provider('manifest').fetchRepo('local/empty', { url: `${upstream.url}/empty.json` }, { etags: {} }),
+        NotFoundError);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 服务端按当前目录读写 repos.txt 和缓存文件，测试在临时目录中进行
+const FIXTURE = path.join(__dirname, 'fixtures', 'hostile-cache.json');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tw-mirror-views-'));
+fs.copyFileSync(FIXTURE, path.join(workDir, 'repo_cache.json'));
+fs.writeFileSync(path.join(workDir, 'repos.txt'), 'evil/repo\n');
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const server = require('../mirror-server');
+const views = require('../views');
+const { createI18n } = require('../lib/i18n');
+
+assert.ok(server.loadState());
+const i18n = createI18n('zh-CN', '/evil/repo/?q="><script>alert(\'url\')</script>');
+
+// 上游内容中的 HTML 只能按文本显示
+function assertEscaped(page) {
+    assert.doesNotMatch(page, /<script>alert/);
+    assert.doesNotMatch(page, /<img[^>]*onerror=/);
+    assert.doesNotMatch(page, /" onerror="/);
+    assert.doesNotMatch(page, /href="javascript:/);
+    // 去掉引号内的属性值后，链接标签中不应出现事件属性（例如发布说明中的链接提前闭合 href）
+    for (const [tag] of page.matchAll(/<a\s[^>]*>/gi)) {
+        assert.doesNotMatch(tag.replace(/"[^"]*"/g, '""'), /[\s/"]on\w+=/i, tag);
+    }
+    assert.match(page, /&lt;script&gt;alert/);
+    assert.match(page, /&quot;/);
+}
+
+test('首页转义仓库描述、语言和版本号', () => {
+    const page = views.renderHome({ i18n, ...server.getHomePageData(), feeds: true });
+    assertEscaped(page);
+    assert.match(page, /&lt;script&gt;alert\(&#39;description&#39;\)/);
+    assert.match(page, /&lt;img src=x onerror=alert\(&#39;language&#39;\)&gt;/);
+});
+
+test('仓库页面转义文件名、发布说明、来源和错误信息', () => {
+    const cache = server.getCache()['evil/repo'];
+    const data = server.getRepoPageData('evil/repo', cache.releases[0], {});
+    const page = views.renderRepo({ i18n, ...data, feeds: true });
+    assertEscaped(page);
+    for (const name of ['asset', 'notes', 'source', 'error', 'added']) {
+        assert.match(page, new RegExp(`&lt;script&gt;alert\\(&#39;${name}&#39;\\)|onerror=alert\\(&#39;${name}&#39;\\)`));
+    }
+});
+
+test('错误页面转义标题和信息', () => {
+    const page = views.renderError({
+        i18n,
+        title: '<script>alert(\'title\')</script>',
+        subtitle: 'evil/repo @ "><img src=x onerror=alert(1)>',
+        message: i18n.t('error.noMatchMessage', { pattern: '<script>alert(\'pattern\')</script>"' })
+    });
+    assertEscaped(page);
+    assert.match(page, /&lt;script&gt;alert\(&#39;pattern&#39;\)/);
+});
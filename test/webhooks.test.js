@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const webhooks = require('../lib/webhooks');
+const { startServer } = require('./helpers');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tw-mirror-webhooks-'));
+const configFile = path.join(workDir, 'webhooks.json');
+const logFile = path.join(workDir, 'webhook_deliveries.log');
+
+let receiver;
+let plans = {}; // 路径 -> 依次返回的状态码，用完后返回 200
+
+test.before(async () => {
+    receiver = await startServer((req, res) => {
+        const status = plans[new URL(req.url, receiver.url).pathname]?.shift() || 200;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: status === 200 }));
+    });
+});
+test.after(async () => {
+    await receiver.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+test.beforeEach(() => {
+    receiver.requests.length = 0;
+    plans = {};
+    fs.rmSync(logFile, { force: true });
+});
+
+// 写入配置并加载，不应有错误
+function load(hooks) {
+    fs.writeFileSync(configFile, JSON.stringify(hooks));
+    assert.deepStrictEqual(webhooks.loadWebhooks(configFile, logFile), []);
+}
+
+function readLog() {
+    return fs.readFileSync(logFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+// 发往指定路径的请求数
+function countRequests(pathname) {
+    return receiver.requests.filter(r => new URL(r.url, receiver.url).pathname === pathname).length;
+}
+
+test('json 格式按原始请求体签名', async () => {
+    load([{ url: `${receiver.url}/hook`, secret: 's3cret', events: ['release.new'] }]);
+    webhooks.emit('release.new', 'owner/app', { from: 'v1', to: 'v2', url: 'https://mirror.example/owner/app/' });
+    webhooks.emit('sync.failed', 'owner/app', { error: '未订阅的事件', retryCount: 5 });
+    await webhooks.waitForDeliveries();
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.url, '/hook');
+    assert.strictEqual(request.headers['x-mirror-event'], 'release.new');
+    const expected = crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex');
+    assert.strictEqual(request.headers['x-mirror-signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(request.body);
+    assert.strictEqual(payload.event, 'release.new');
+    assert.strictEqual(payload.repo, 'owner/app');
+    assert.deepStrictEqual(payload.data, { from: 'v1', to: 'v2', url: 'https://mirror.example/owner/app/' });
+});
+
+test('钉钉格式加签并发送文本消息', async () => {
+    load([{ url: `${receiver.url}/robot/send?access_token=abc`, format: 'dingtalk', secret: 'SEC123' }]);
+    webhooks.emit('assets.changed', 'owner/app', { to: 'v2', added: ['app.apk'], removed: ['old.apk'] });
+    await webhooks.waitForDeliveries();
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    const query = new URL(request.url, receiver.url).searchParams;
+    assert.strictEqual(query.get('access_token'), 'abc');
+    const expected = crypto.createHmac('sha256', 'SEC123').update(`${query.get('timestamp')}\nSEC123`).digest('base64');
+    assert.strictEqual(query.get('sign'), expected);
+    assert.ok(!request.headers['x-mirror-signature']);
+
+    assert.deepStrictEqual(JSON.parse(request.body), {
+        msgtype: 'text',
+        text: { content: '[owner/app] v2 文件变化\n+ app.apk\n- old.apk' }
+    });
+});
+
+test('失败后重试，最终结果写入投递日志', async t => {
+    // 重试等待（5 秒和 30 秒）使用模拟时钟
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(console, 'error', () => {});
+    plans['/flaky'] = [500];
+    plans['/down'] = [503, 503, 503];
+    load([{ url: `${receiver.url}/flaky` }, { url: `${receiver.url}/down`, format: 'slack' }]);
+
+    webhooks.emit('sync.recovered', 'owner/app', { version: 'v2' });
+    let finished = false;
+    webhooks.waitForDeliveries().then(() => { finished = true; });
+    while (!finished) {
+        t.mock.timers.tick(1000);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    assert.strictEqual(countRequests('/flaky'), 2);
+    assert.strictEqual(countRequests('/down'), 3);
+
+    const log = readLog();
+    assert.strictEqual(log.length, 2);
+    const flaky = log.find(entry => entry.url === `${receiver.url}/flaky`);
+    const down = log.find(entry => entry.url === `${receiver.url}/down`);
+    assert.deepStrictEqual({ ...flaky, at: undefined }, {
+        event: 'sync.recovered', repo: 'owner/app', url: `${receiver.url}/flaky`, at: undefined,
+        attempts: 2, status: 200, error: null
+    });
+    assert.strictEqual(down.attempts, 3);
+    assert.strictEqual(down.status, 503);
+    assert.match(down.error, /503/);
+    const messages = console.error.mock.calls.map(call => String(call.arguments[0]));
+    assert.deepStrictEqual(messages.filter(message => message.includes('通知')),
+        [`[owner/app] 通知 ${receiver.url}/down 失败（3 次）：${down.error}`]);
+
+    // 最近的投递记录与日志一致
+    const recent = webhooks.getDeliveries();
+    assert.deepStrictEqual(recent.slice(0, 2).sort((a, b) => a.url.localeCompare(b.url)),
+        [down, flaky].sort((a, b) => a.url.localeCompare(b.url)));
+});
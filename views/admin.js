@@ -0,0 +1,98 @@
+const { html } = require('../lib/html');
+const { formatVersion } = require('../lib/format');
+const { layout, pageHeader } = require('./layout');
+
+const adminStyles = html`
+                <style>
+                    table { width: 100%; border-collapse: collapse; }
+                    th, td { padding: 0.5rem; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+                    td small { color: var(--secondary); }
+                    .actions form { display: inline; }
+                    button { padding: 0.25rem 0.75rem; border: none; border-radius: 0.375rem; background: var(--primary); color: white; cursor: pointer; }
+                    input { padding: 0.5rem; border: 1px solid #e2e8f0; border-radius: 0.375rem; flex: 1; }
+                </style>
+`;
+
+// 仓库行，repo: { name, version, status, retryCount, nextRetry, lastError, lastErrorMessage }
+function repoRow(repo, i18n) {
+    const { t } = i18n;
+    const disabled = repo.status === 'disabled';
+    return html`
+                <tr>
+                    <td><a href="/${repo.name}/">${repo.name}</a></td>
+                    <td>${repo.version ? formatVersion(repo.version) : '-'}</td>
+                    <td style="${disabled ? 'color: var(--error); font-weight: 600' : ''}">${repo.status}</td>
+                    <td>${repo.retryCount}${disabled
+                        ? html`<br><small>${t('admin.disabled')}</small>`
+                        : repo.nextRetry > Date.now() ? html`<br><small>${t('admin.cooldown', { time: i18n.formatDateTime(repo.nextRetry) })}</small>` : ''}</td>
+                    <td>${repo.lastError ? html`${i18n.formatDateTime(repo.lastError)}<br><small>${repo.lastErrorMessage || ''}</small>` : '-'}</td>
+                    <td class="actions">
+                        <form method="post" action="/admin/repos/${repo.name}/sync"><button>${t('admin.sync')}</button></form>
+                        <form method="post" action="/admin/repos/${repo.name}/reset"><button>${t(disabled ? 'admin.enable' : 'admin.reset')}</button></form>
+                        <form method="post" action="/admin/repos/${repo.name}/delete" onsubmit="return confirm(this.dataset.confirm)" data-confirm="${t('admin.confirmDelete', { repo: repo.name })}"><button>${t('admin.delete')}</button></form>
+                    </td>
+                </tr>
+    `;
+}
+
+// 通知投递记录行
+function deliveryRow(entry, i18n) {
+    const { t } = i18n;
+    return html`
+            <tr>
+                <td>${i18n.formatDateTime(entry.at)}</td>
+                <td>${entry.event}</td>
+                <td>${entry.repo}</td>
+                <td>${entry.url}</td>
+                <td>${entry.error
+                    ? html`${t('admin.delivery.failed', { count: entry.attempts })}<br><small>${entry.error}</small>`
+                    : entry.status ? t('admin.delivery.ok', { status: entry.status }) : t('admin.delivery.pending')}</td>
+            </tr>
+    `;
+}
+
+// 管理页面，data: { i18n, repos, deliveries, running, message }
+function renderAdmin({ i18n, repos, deliveries, running, message }) {
+    const { t } = i18n;
+    return layout({
+        i18n,
+        title: t('site.title', { title: t('admin.title') }),
+        head: adminStyles,
+        body: html`
+                ${pageHeader({
+                    i18n,
+                    back: { href: '/', label: t('nav.home') },
+                    title: t('admin.title'),
+                    subtitle: `${t('admin.repoCount', { count: repos.length })}${running ? ` · ${t('admin.running')}` : ''}`
+                })}
+                <div class="container">
+                    ${message ? html`<div class="card" style="margin-bottom: 1.5rem">${message}</div>` : ''}
+                    <div class="card" style="margin-bottom: 1.5rem">
+                        <form method="post" action="/admin/repos" style="display: flex; gap: 0.5rem">
+                            <input name="line" placeholder="owner/repo [key=value ...]" required>
+                            <button>${t('admin.add')}</button>
+                        </form>
+                    </div>
+                    <div class="card" style="overflow-x: auto">
+                        <form method="post" action="/admin/sync" style="margin-bottom: 1rem"><button>${t('admin.syncAll')}</button></form>
+                        <table>
+                            <tr><th>${t('admin.col.repo')}</th><th>${t('admin.col.version')}</th><th>${t('admin.col.status')}</th><th>${t('admin.col.retries')}</th><th>${t('admin.col.lastError')}</th><th>${t('admin.col.actions')}</th></tr>
+                            ${repos.map(repo => repoRow(repo, i18n))}
+                        </table>
+                    </div>
+                    ${deliveries.length ? html`
+                    <div class="card" style="margin-top: 1.5rem; overflow-x: auto">
+                        <h3 style="margin-bottom: 1rem">${t('admin.deliveries')}</h3>
+                        <table>
+                            <tr><th>${t('admin.col.time')}</th><th>${t('admin.col.event')}</th><th>${t('admin.col.repo')}</th><th>${t('admin.col.url')}</th><th>${t('admin.col.result')}</th></tr>
+                            ${deliveries.map(entry => deliveryRow(entry, i18n))}
+                        </table>
+                    </div>` : ''}
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderAdmin
+};
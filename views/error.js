@@ -0,0 +1,31 @@
+const { html } = require('../lib/html');
+const { layout, pageHeader } = require('./layout');
+
+// 错误提示页面（title、subtitle、message 为纯文本，detail 为附加的 html`` 片段）
+function renderError({ i18n, title, subtitle, message, detail }) {
+    return layout({
+        i18n,
+        title: i18n.t('site.title', { title }),
+        body: html`
+                ${pageHeader({ i18n, title, subtitle })}
+                <div class="container">
+                    <div class="card" style="text-align: center; padding: 3rem">
+                        <p style="font-size: 1.2rem; margin-bottom: 1.5rem">${message}</p>
+                        ${detail}
+                        <a href="/" style="
+                            padding: 0.75rem 1.5rem;
+                            background: var(--primary);
+                            color: white;
+                            border-radius: 0.5rem;
+                            text-decoration: none;
+                            display: inline-block;
+                        ">${i18n.t('nav.home')}</a>
+                    </div>
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderError
+};
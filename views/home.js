@@ -0,0 +1,153 @@
+const { html } = require('../lib/html');
+const { formatVersion } = require('../lib/format');
+const { layout, languageSwitch } = require('./layout');
+
+// 首页搜索和排序
+const script = html`
+                <script>
+                    document.addEventListener('DOMContentLoaded', () => {
+                        const search = document.getElementById('search');
+                        const sort = document.getElementById('sort');
+                        const grid = document.querySelector('.grid');
+                        let originalCards = Array.from(grid.children);
+
+                        function updateView() {
+                            const searchTerm = search.value.toLowerCase();
+                            const sortKey = sort.value;
+
+                            const filtered = originalCards.filter(card => {
+                                const title = card.dataset.name.toLowerCase();
+                                const desc = card.dataset.desc?.toLowerCase() || '';
+                                return title.includes(searchTerm) || desc.includes(searchTerm);
+                            });
+
+                            const sorted = filtered.sort((a, b) => {
+                                if (sortKey === 'stars') {
+                                    return (b.dataset.stars || 0) - (a.dataset.stars || 0);
+                                }
+                                if (sortKey === 'downloads') {
+                                    return (b.dataset.downloads || 0) - (a.dataset.downloads || 0);
+                                }
+                                return new Date(b.dataset.updated) - new Date(a.dataset.updated);
+                            });
+
+                            grid.innerHTML = '';
+                            sorted.forEach(card => grid.appendChild(card.cloneNode(true)));
+                        }
+
+                        search.addEventListener('input', updateView);
+                        sort.addEventListener('change', updateView);
+                    });
+                </script>
+`;
+
+// 仓库卡片
+// repo: { name, host, version, description, stars, language, updated_at, downloads, disabled, retryCount }
+function repoCard(repo, popularDays, i18n) {
+    const { t } = i18n;
+    return html`
+                            <a
+                                href="/${repo.name}/"
+                                class="card"
+                                data-name="${repo.name}"
+                                data-desc="${repo.description || ''}"
+                                data-stars="${repo.stars || 0}"
+                                data-updated="${repo.updated_at || ''}"
+                                data-downloads="${repo.downloads}"
+                            >
+                                <div style="display: flex; gap: 1rem; align-items: start;">
+                                    <div style="flex: 1">
+                                        <h3 style="color: var(--primary)">
+                                            ${repo.name.split('/')[1]}
+                                        </h3>
+                                        <p style="color: #64748b; margin: 0.5rem 0">
+                                            ${repo.name} · ${repo.host}
+                                        </p>
+                                        ${repo.description ? html`
+                                            <p style="
+                                                color: var(--secondary);
+                                                margin: 0.5rem 0;
+                                                font-size: 0.9em;
+                                            ">${repo.description}</p>
+                                        ` : ''}
+
+                                        <div style="margin-top: 1rem; display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                                            ${repo.version
+                                                ? html`<div class="badge info">${formatVersion(repo.version)}</div>`
+                                                : html`<div class="badge error">${t('home.syncFailed')}</div>`}
+                                            ${repo.disabled ? html`
+                                                <div class="badge error" title="${t('home.disabledHint', { count: repo.retryCount })}">${t('home.disabled')}</div>
+                                            ` : ''}
+                                            ${repo.stars ? html`<div class="badge">★ ${i18n.formatNumber(repo.stars)}</div>` : ''}
+                                            ${repo.downloads ? html`
+                                                <div class="badge" title="${t('home.downloadsHint', { days: popularDays })}">↓ ${i18n.formatNumber(repo.downloads)}</div>
+                                            ` : ''}
+                                        </div>
+                                    </div>
+
+                                    ${repo.language ? html`<div class="badge">${repo.language}</div>` : ''}
+                                </div>
+
+                                <div style="margin-top: 1rem; color: var(--secondary); font-size: 0.875rem">
+                                    ${t('home.lastSync', { date: repo.updated_at ? i18n.formatDate(repo.updated_at) : t('home.neverSynced') })}
+                                </div>
+                            </a>
+    `;
+}
+
+// 首页（静态导出时 staticSite 为 true，不显示下载统计；feeds 为 false 时不显示订阅链接）
+function renderHome({ i18n, repos, repoCount, popularDays, staticSite = false, feeds = true }) {
+    const { t } = i18n;
+    return layout({
+        i18n,
+        title: t('site.name'),
+        head: html`
+                ${feeds ? html`<link rel="alternate" type="application/atom+xml" title="${t('site.name')}" href="/feed.xml">` : ''}
+                ${script}
+        `,
+        body: html`
+                <div class="header">
+                    <div class="container">
+                        ${languageSwitch(i18n)}
+                        <h1>${t('site.name')}</h1>
+                        <p>${t('site.tagline')} · ${t('home.repoCount', { count: repoCount })} · <a href="/updates" style="color: white">${t('nav.updates')}</a>${staticSite ? '' : html` · <a href="/stats" style="color: white">${t('nav.stats')}</a>`}${feeds ? html` · <a href="/feed.xml" style="color: white">${t('nav.feed')}</a>` : ''}</p>
+                        <div style="margin-top: 1.5rem; display: flex; gap: 1rem; flex-wrap: wrap;">
+                            <input
+                                type="text"
+                                id="search"
+                                placeholder="${t('home.search')}"
+                                style="
+                                    padding: 0.75rem;
+                                    border: 1px solid #e2e8f0;
+                                    border-radius: 0.5rem;
+                                    flex: 1;
+                                    min-width: 300px;
+                                ">
+                            <select
+                                id="sort"
+                                style="
+                                    padding: 0.75rem;
+                                    border: 1px solid #e2e8f0;
+                                    border-radius: 0.5rem;
+                                    background: white;
+                                ">
+                                <option value="updated">${t('home.sort.updated')}</option>
+                                <option value="stars">${t('home.sort.stars')}</option>
+                                <option value="downloads">${t('home.sort.downloads')}</option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="container">
+                    <div class="grid">
+                        ${repos.map(repo => repoCard(repo, popularDays, i18n))}
+                    </div>
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderHome
+};
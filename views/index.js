@@ -0,0 +1,13 @@
+// 页面模板
+//
+// 每个 render 函数接收整理好的数据并返回完整的 HTML；插值统一经过 lib/html 的 html`` 转义
+
+module.exports = {
+    ...require('./home'),
+    ...require('./repo'),
+    ...require('./updates'),
+    ...require('./stats'),
+    ...require('./error'),
+    ...require('./redirect'),
+    ...require('./admin')
+};
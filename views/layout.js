@@ -0,0 +1,154 @@
+const { html, raw } = require('../lib/html');
+
+// 公共样式
+const styles = raw(`
+        <style>
+            :root {
+                --primary: #6366f1;
+                --primary-hover: #4f46e5;
+                --secondary: #64748b;
+                --bg: #f8fafc;
+                --card-bg: white;
+                --success: #22c55e;
+                --error: #ef4444;
+            }
+            * { box-sizing: border-box; margin: 0; padding: 0 }
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                line-height: 1.6;
+                background: var(--bg);
+                color: #1e293b;
+            }
+            .container {
+                max-width: 1200px;
+                margin: 0 auto;
+                padding: 2rem 1rem;
+            }
+            .header {
+                background: linear-gradient(135deg, var(--primary), var(--secondary));
+                color: white;
+                padding: 2rem 1rem;
+                margin-bottom: 2rem;
+                box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+            }
+            .header .lang {
+                float: right;
+                font-size: 0.875rem;
+                opacity: 0.9;
+            }
+            .header .lang a { color: white; }
+            .header .back {
+                color: white;
+                text-decoration: none;
+                display: inline-block;
+                margin-bottom: 1rem;
+            }
+            .grid {
+                display: grid;
+                gap: 1.5rem;
+                grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+            }
+            .card {
+                background: var(--card-bg);
+                border-radius: 0.5rem;
+                padding: 1.5rem;
+                text-decoration: none;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.05);
+                transition: transform 0.2s;
+                word-break: break-word;
+                overflow-wrap: anywhere;
+            }
+            .card:hover {
+                transform: translateY(-2px);
+            }
+            .badge {
+                display: inline-flex;
+                align-items: center;
+                gap: 0.25rem;
+                padding: 0.25rem 0.75rem;
+                background: #f1f5f9;
+                border-radius: 0.375rem;
+                font-size: 0.875rem;
+            }
+            .badge.info { background: #e0f2fe; color: #0369a1; }
+            .badge.error { background: #fee2e2; color: #dc2626; }
+            @keyframes spin {
+                to { transform: rotate(360deg); }
+            }
+            .loader {
+                width: 24px;
+                height: 24px;
+                border: 3px solid #e2e8f0;
+                border-top-color: var(--primary);
+                border-radius: 50%;
+                animation: spin 1s linear infinite;
+            }
+            .markdown h3, .markdown h4, .markdown h5, .markdown h6 { margin: 1rem 0 0.5rem; }
+            .markdown p, .markdown ul, .markdown ol, .markdown pre, .markdown blockquote { margin: 0.5rem 0; }
+            .markdown ul, .markdown ol { padding-left: 1.5rem; }
+            .markdown code { background: #f1f5f9; padding: 0 0.25rem; border-radius: 0.25rem; font-size: 0.875em; }
+            .markdown pre { background: #f1f5f9; padding: 1rem; border-radius: 0.375rem; overflow-x: auto; }
+            .markdown pre code { padding: 0; }
+            .markdown blockquote { border-left: 3px solid #e2e8f0; padding-left: 1rem; color: var(--secondary); }
+            .markdown a { color: var(--primary); }
+            .timeline { list-style: none; }
+            .timeline li { padding: 0.75rem 0; border-bottom: 1px solid #e2e8f0; }
+            .timeline li:last-child { border-bottom: none; }
+            .timeline small { color: var(--secondary); }
+            @media (max-width: 640px) {
+                .container { padding: 1rem; }
+                .header { padding: 1.5rem 1rem; }
+            }
+        </style>
+`);
+
+// 页面骨架：title 为纯文本，head 和 body 为 html`` 片段
+function layout({ i18n, title, head, body }) {
+    return html`<!DOCTYPE html>
+            <html lang="${i18n.locale}">
+            <head>
+                <meta charset="utf-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1">
+                <title>${title}</title>
+                ${styles}
+                ${head}
+            </head>
+            <body>
+                ${body}
+            </body>
+            </html>
+        `.toString();
+}
+
+// 语言切换链接（静态导出的页面没有可切换的语言）
+function languageSwitch(i18n) {
+    if (!i18n.languages.length) return '';
+    return html`
+                        <div class="lang">
+                            ${i18n.languages.map((lang, i) => html`${i > 0 ? ' · ' : ''}${lang.current
+                                ? html`<strong>${lang.name}</strong>`
+                                : html`<a href="${lang.url}" hreflang="${lang.code}" lang="${lang.code}">${lang.name}</a>`}`)}
+                        </div>
+    `;
+}
+
+// 页头：back 为 { href, label }，省略时不显示返回链接；subtitle 和 extra 为附加内容
+function pageHeader({ i18n, back, title, subtitle, extra }) {
+    return html`
+                <div class="header">
+                    <div class="container">
+                        ${languageSwitch(i18n)}
+                        ${back ? html`<a href="${back.href}" class="back">← ${back.label}</a>` : ''}
+                        <h1>${title}</h1>
+                        ${subtitle ? html`<p>${subtitle}</p>` : ''}
+                        ${extra}
+                    </div>
+                </div>
+    `;
+}
+
+module.exports = {
+    layout,
+    languageSwitch,
+    pageHeader
+};
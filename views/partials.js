@@ -0,0 +1,58 @@
+const { html } = require('../lib/html');
+const { formatVersion } = require('../lib/format');
+
+// 一条同步记录（传入 repo 时显示仓库名，用于全站时间线）
+function historyItem(entry, i18n, repo) {
+    const { t } = i18n;
+    const change = entry.from && entry.from !== entry.to
+        ? `${formatVersion(entry.from)} → ${formatVersion(entry.to)}`
+        : t(entry.from ? 'history.filesChanged' : 'history.firstSync', { version: formatVersion(entry.to) });
+    const files = [
+        ...entry.added.map(name => html`<span style="color: var(--success)">+ ${name}</span>`),
+        ...entry.removed.map(name => html`<span style="color: var(--error)">− ${name}</span>`)
+    ];
+
+    return html`
+            <li>
+                <div>
+                    ${repo ? html`<a href="/${repo}/" style="color: var(--primary); font-weight: 600">${repo}</a> ` : ''}${change}
+                    <small>${i18n.formatDateTime(entry.at)}</small>
+                </div>
+                ${files.length ? html`
+                    <details>
+                        <summary><small>${t('history.fileCounts', { added: entry.added.length, removed: entry.removed.length })}</small></summary>
+                        <div style="font-size: 0.875rem; display: grid">${files}</div>
+                    </details>
+                ` : ''}
+            </li>
+    `;
+}
+
+// 按天的下载数柱状图（SVG），points 为 [{ date, count }]
+function downloadChart(points, i18n) {
+    const width = 800;
+    const height = 160;
+    const max = Math.max(1, ...points.map(p => p.count));
+    const barWidth = width / points.length;
+    const bars = points.map((point, i) => {
+        const barHeight = Math.round(point.count / max * (height - 20));
+        return html`<rect x="${(i * barWidth + barWidth * 0.1).toFixed(1)}" y="${height - barHeight}" width="${(barWidth * 0.8).toFixed(1)}" height="${barHeight}" fill="var(--primary)"><title>${i18n.t('stats.bar', { date: point.date, count: i18n.formatNumber(point.count) })}</title></rect>`;
+    });
+
+    return html`
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: ${height}px; display: block">
+                <line x1="0" y1="${height - 0.5}" x2="${width}" y2="${height - 0.5}" stroke="#e2e8f0"/>
+                ${bars}
+            </svg>
+            <div style="display: flex; justify-content: space-between; font-size: 0.75rem; color: var(--secondary)">
+                <span>${points[0].date}</span>
+                <span>${i18n.t('stats.max', { count: i18n.formatNumber(max) })}</span>
+                <span>${points[points.length - 1].date}</span>
+            </div>
+    `;
+}
+
+module.exports = {
+    historyItem,
+    downloadChart
+};
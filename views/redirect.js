@@ -0,0 +1,25 @@
+const { html } = require('../lib/html');
+const { layout, pageHeader } = require('./layout');
+
+// 跳转页面（静态导出时代替下载跳转），url 为目标地址，name 为文件名
+function renderRedirect({ i18n, url, name }) {
+    const { t } = i18n;
+    return layout({
+        i18n,
+        title: t('site.title', { title: name }),
+        head: html`<meta http-equiv="refresh" content="0; url=${url}">`,
+        body: html`
+                ${pageHeader({ i18n, title: name, subtitle: t('redirect.subtitle') })}
+                <div class="container">
+                    <div class="card" style="text-align: center; padding: 3rem">
+                        <p style="margin-bottom: 1.5rem">${t('redirect.message')}</p>
+                        <a href="${url}" style="color: var(--primary); word-break: break-all">${url}</a>
+                    </div>
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderRedirect
+};
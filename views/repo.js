@@ -0,0 +1,197 @@
+const { html, raw } = require('../lib/html');
+const { formatVersion, formatSize } = require('../lib/format');
+const { renderMarkdown } = require('../lib/markdown');
+const { layout, pageHeader } = require('./layout');
+const { historyItem } = require('./partials');
+
+// 分组顺序：各平台、其他文件、校验与签名文件
+const GROUPS = ['windows', 'macos', 'linux', 'android', 'ios', 'other', 'verify'];
+
+function assetGroup({ classification: c }) {
+    if (c.kind === 'checksum' || c.kind === 'signature') return 'verify';
+    return c.platform || 'other';
+}
+
+// 平台和架构的显示名称，例如 Windows x64
+function deviceLabel({ platform, arch }, t) {
+    return `${t(`platform.${platform}`)}${arch ? ` ${t(`arch.${arch}`)}` : ''}`;
+}
+
+// 分类标签：架构、安装程序/便携版、格式
+function assetBadges({ classification: c }, t) {
+    return html`
+                            <div style="display: flex; gap: 0.25rem; flex-wrap: wrap; margin: 0.25rem 0">
+                                ${c.arch ? html`<span class="badge">${t(`arch.${c.arch}`)}</span>` : ''}
+                                ${c.kind !== 'other' ? html`<span class="badge">${t(`kind.${c.kind}`)}</span>` : ''}
+                                ${c.format ? html`<span class="badge">.${c.format}</span>` : ''}
+                            </div>
+    `;
+}
+
+// 下载链接（静态导出时 asset.href 直接指向镜像地址）
+function assetHref(asset, basePath) {
+    return asset.href || `${basePath}/${encodeURIComponent(asset.name)}`;
+}
+
+// 资源文件卡片（asset.stored 表示已存储在本地，recommended 时高亮）
+function assetCard(asset, release, basePath, syncedAt, i18n, recommended) {
+    const { t } = i18n;
+    return html`
+                <div class="card" style="${recommended ? 'box-shadow: 0 0 0 2px var(--primary)' : ''}">
+                    <div style="display: flex; justify-content: space-between; align-items: center">
+                        <div>
+                            <h3 style="margin-bottom: 0.25rem">${asset.name || t('repo.unnamed')}</h3>
+                            ${assetBadges(asset, t)}
+                            <small>${t(release.published_at ? 'repo.published' : 'repo.synced', { time: syncedAt ? i18n.formatDateTime(syncedAt) : t('repo.unknownTime') })}${asset.size ? ` · ${formatSize(asset.size)}` : ''}${asset.stored ? ` · ${t('repo.stored')}` : ''}</small>
+                            ${asset.sha256 ? html`
+                                <div style="font-family: monospace; font-size: 0.75rem; color: var(--secondary); word-break: break-all" title="${asset.checksum_source ? t(`checksum.${asset.checksum_source}`) : ''}">
+                                    SHA-256: ${asset.sha256}
+                                </div>
+                            ` : ''}
+                            ${asset.mismatch ? html`
+                                <div style="color: var(--error); font-size: 0.875rem" title="${asset.mismatch.actual}">
+                                    ${t('repo.mismatch', { what: t(asset.mismatch.source === 'local' ? 'repo.mismatch.local' : 'repo.mismatch.file') })}
+                                </div>
+                            ` : ''}
+                        </div>
+                        ${asset.download_url ? html`
+                        <a href="${assetHref(asset, basePath)}"
+                           style="padding: 0.5rem 1rem; background: var(--primary); color: white; border-radius: 0.375rem; text-decoration: none;"
+                           download>
+                            ↓
+                        </a>
+                        ` : html`<span style="color: var(--error)">${t('repo.invalidLink')}</span>`}
+                    </div>
+                </div>
+    `;
+}
+
+// 为访问者设备推荐的下载
+function recommendation(asset, device, basePath, t) {
+    return html`
+                        <div style="display: flex; gap: 1rem; align-items: center; flex-wrap: wrap; margin-bottom: 1.5rem; padding: 1rem; border-radius: 0.5rem; background: #eef2ff">
+                            <a href="${assetHref(asset, basePath)}"
+                               style="padding: 0.75rem 1.5rem; background: var(--primary); color: white; border-radius: 0.5rem; text-decoration: none; font-weight: 600"
+                               download>
+                                ↓ ${t('repo.recommendedDownload')}
+                            </a>
+                            <div>
+                                <div>${asset.name}${asset.size ? ` · ${formatSize(asset.size)}` : ''}</div>
+                                <small style="color: var(--secondary)">${t('repo.recommendedFor', { device: deviceLabel(device, t) })}</small>
+                            </div>
+                        </div>
+    `;
+}
+
+// 按平台分组的资源列表，只有一组时不显示分组标题
+function assetGroups(assets, render, t) {
+    const groups = GROUPS
+        .map(group => ({ group, assets: assets.filter(asset => assetGroup(asset) === group) }))
+        .filter(({ assets }) => assets.length > 0);
+    if (groups.length === 1) {
+        return html`<div class="grid">${assets.map(render)}</div>`;
+    }
+    return groups.map(({ group, assets }) => html`
+                        <h3 style="margin: 1.5rem 0 0.75rem; color: var(--secondary)">${t(`group.${group}`)}</h3>
+                        <div class="grid">${assets.map(render)}</div>
+    `);
+}
+
+// 版本选择
+function versionPicker(repo, releases, current, i18n) {
+    if (releases.length <= 1) return '';
+    return html`
+            <select
+                onchange="location.href = this.value"
+                style="
+                    margin-top: 1rem;
+                    padding: 0.5rem 0.75rem;
+                    border: 1px solid #e2e8f0;
+                    border-radius: 0.5rem;
+                    background: white;
+                ">
+                ${releases.map((r, i) => html`
+                    <option
+                        value="${i === 0 ? `/${repo}/` : `/${repo}/${encodeURIComponent(r.version)}/`}"
+                        ${r.version === current.version ? 'selected' : ''}
+                    >${formatVersion(r.version)}${i === 0 ? i18n.t('repo.latest') : ''}${r.prerelease ? i18n.t('repo.prerelease') : ''}</option>
+                `)}
+            </select>
+    `;
+}
+
+// 仓库详情页（release 为当前查看的发布版本）
+// data: { i18n, repo, release, releases, source, device, recommended, history, updated_at, disabled, retryCount, lastErrorMessage }
+// release.assets 中的每个文件带有 classification，recommended 为推荐的文件名
+// 静态导出时 staticSite 为 true（不显示下载统计），feeds 为 false 时不显示订阅链接
+function renderRepo(data) {
+    const { i18n, repo, release, releases, source } = data;
+    const { t } = i18n;
+    const isLatest = release.version === releases[0].version;
+    const basePath = isLatest ? `/${repo}` : `/${repo}/${encodeURIComponent(release.version)}`;
+    const syncedAt = release.published_at || data.updated_at;
+    const recommended = release.assets.find(asset => asset.name === data.recommended);
+    const { staticSite = false, feeds = true } = data;
+    // 上游已提供同名校验文件时，文件列表中已有该文件，不再显示生成的链接
+    const checksumsLink = release.assets.some(a => a.sha256) && !release.assets.some(a => a.name === 'SHA256SUMS');
+
+    return layout({
+        i18n,
+        title: t('site.title', { title: repo }),
+        head: feeds ? html`<link rel="alternate" type="application/atom+xml" title="${repo}" href="/${repo}/feed.xml">` : '',
+        body: html`
+                ${pageHeader({
+                    i18n,
+                    back: { href: '/', label: t('nav.home') },
+                    title: repo.split('/')[1],
+                    subtitle: `${repo} @ ${formatVersion(release.version)}${isLatest ? '' : t('repo.historical')}`,
+                    extra: html`
+                        <p style="font-size: 0.875rem; opacity: 0.9">
+                            ${t('repo.source')}<a href="${source.url}" style="color: white" rel="noopener">${source.host}</a>
+                            ${staticSite ? '' : html`· <a href="/stats?repo=${encodeURIComponent(repo)}" style="color: white">${t('nav.stats')}</a>`}
+                        </p>
+                        ${versionPicker(repo, releases, release, i18n)}
+                    `
+                })}
+
+                <div class="container">
+                    ${data.disabled ? html`
+                        <div class="card" style="margin-bottom: 1.5rem; border-left: 4px solid var(--error)">
+                            <strong style="color: var(--error)">${t('repo.disabled')}</strong>
+                            <p style="color: var(--secondary); margin-top: 0.5rem">
+                                ${t('repo.disabledDetail', { count: data.retryCount, error: data.lastErrorMessage || t('repo.unknownError') })}
+                            </p>
+                        </div>
+                    ` : ''}
+                    <div class="card">
+                        <div style="display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 1rem">
+                            <h2>${t('repo.downloads')}</h2>
+                            ${checksumsLink ? html`<a href="${basePath}/SHA256SUMS" style="color: var(--primary)">SHA256SUMS</a>` : ''}
+                        </div>
+                        ${recommended ? recommendation(recommended, data.device, basePath, t) : ''}
+                        ${assetGroups(release.assets, asset => assetCard(asset, release, basePath, syncedAt, i18n, asset === recommended), t)}
+                    </div>
+
+                    ${release.notes ? html`
+                        <div class="card" style="margin-top: 1.5rem">
+                            <h2 style="margin-bottom: 1rem">${t('repo.notes')}</h2>
+                            <div class="markdown">${raw(renderMarkdown(release.notes))}</div>
+                        </div>
+                    ` : ''}
+
+                    ${data.history?.length ? html`
+                        <div class="card" style="margin-top: 1.5rem">
+                            <h2 style="margin-bottom: 1rem">${t('repo.history')}</h2>
+                            <ul class="timeline">
+                                ${data.history.map(entry => historyItem(entry, i18n))}
+                            </ul>
+                        </div>
+                    ` : ''}
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderRepo
+};
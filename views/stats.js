@@ -0,0 +1,85 @@
+const { html } = require('../lib/html');
+const { layout, pageHeader } = require('./layout');
+const { downloadChart } = require('./partials');
+
+function statsUrl(days, repo) {
+    return `/stats?days=${days}${repo ? `&repo=${encodeURIComponent(repo)}` : ''}`;
+}
+
+// 单个仓库的文件排行，assets 为 [{ name, count }]
+function assetRanking(assets, i18n) {
+    const { t } = i18n;
+    if (assets.length === 0) {
+        return html`<p style="color: var(--secondary)">${t('stats.empty')}</p>`;
+    }
+    return html`
+                <table style="width: 100%; border-collapse: collapse">
+                    <tr><th style="text-align: left">${t('stats.file')}</th><th style="text-align: right">${t('stats.count')}</th></tr>
+                    ${assets.map(asset => html`
+                        <tr>
+                            <td style="padding: 0.25rem 0; word-break: break-all">${asset.name}</td>
+                            <td style="text-align: right">${i18n.formatNumber(asset.count)}</td>
+                        </tr>
+                    `)}
+                </table>
+    `;
+}
+
+// 仓库排行，repos 为 [{ name, count }]（已按次数排序）
+function repoRanking(repos, days, i18n) {
+    const { t } = i18n;
+    const max = Math.max(1, ...repos.map(r => r.count));
+    return html`
+                <table style="width: 100%; border-collapse: collapse">
+                    <tr><th style="text-align: left">${t('stats.repo')}</th><th></th><th style="text-align: right">${t('stats.count')}</th></tr>
+                    ${repos.map(r => html`
+                        <tr>
+                            <td style="padding: 0.25rem 1rem 0.25rem 0; white-space: nowrap"><a href="${statsUrl(days, r.name)}" style="color: var(--primary)">${r.name}</a></td>
+                            <td style="width: 60%"><div style="height: 0.5rem; border-radius: 0.25rem; background: var(--primary); width: ${(r.count / max * 100).toFixed(1)}%"></div></td>
+                            <td style="text-align: right">${i18n.formatNumber(r.count)}</td>
+                        </tr>
+                    `)}
+                </table>
+    `;
+}
+
+// 下载统计页
+// data: { days, ranges, repo, daily, assets（查看单个仓库时）, repos（查看全部时） }
+function renderStats({ i18n, days, ranges, repo, daily, assets, repos }) {
+    const { t } = i18n;
+    const total = daily.reduce((sum, point) => sum + point.count, 0);
+
+    return layout({
+        i18n,
+        title: t('site.title', { title: `${t('stats.title')}${repo ? ` - ${repo}` : ''}` }),
+        body: html`
+                ${pageHeader({
+                    i18n,
+                    back: repo ? { href: `/${repo}/`, label: t('nav.repo') } : { href: '/', label: t('nav.home') },
+                    title: t('stats.title'),
+                    subtitle: html`${repo ? html`${repo} · <a href="${statsUrl(days)}" style="color: white">${t('stats.allRepos')}</a>` : t('stats.everyRepo')} · ${t('stats.summary', { days, count: i18n.formatNumber(total) })}`,
+                    extra: html`
+                        <p style="font-size: 0.875rem; opacity: 0.9">
+                            ${ranges.map((n, i) => html`${i > 0 ? ' · ' : ''}${n === days
+                                ? html`<strong>${t('stats.days', { days: n })}</strong>`
+                                : html`<a href="${statsUrl(n, repo)}" style="color: white">${t('stats.days', { days: n })}</a>`}`)}
+                        </p>
+                    `
+                })}
+                <div class="container">
+                    <div class="card">
+                        <h2 style="margin-bottom: 1rem">${t('stats.daily')}</h2>
+                        ${downloadChart(daily, i18n)}
+                    </div>
+                    <div class="card" style="margin-top: 1.5rem">
+                        <h2 style="margin-bottom: 1rem">${t(repo ? 'stats.fileRanking' : 'stats.repoRanking')}</h2>
+                        ${repo ? assetRanking(assets, i18n) : repoRanking(repos, days, i18n)}
+                    </div>
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderStats
+};
@@ -0,0 +1,33 @@
+const { html } = require('../lib/html');
+const { layout, pageHeader } = require('./layout');
+const { historyItem } = require('./partials');
+
+// 最近更新时间线，entries 为 [{ repo, entry }]
+function renderUpdates({ i18n, entries }) {
+    const { t } = i18n;
+    return layout({
+        i18n,
+        title: t('site.title', { title: t('updates.title') }),
+        body: html`
+                ${pageHeader({
+                    i18n,
+                    back: { href: '/', label: t('nav.home') },
+                    title: t('updates.title'),
+                    subtitle: t('updates.subtitle')
+                })}
+                <div class="container">
+                    <div class="card">
+                        ${entries.length ? html`
+                            <ul class="timeline">
+                                ${entries.map(({ repo, entry }) => historyItem(entry, i18n, repo))}
+                            </ul>
+                        ` : html`<p style="color: var(--secondary)">${t('updates.empty')}</p>`}
+                    </div>
+                </div>
+        `
+    });
+}
+
+module.exports = {
+    renderUpdates
+};